@@ -0,0 +1,1142 @@
+import { canPlace, filledCells, fillScore } from "./fill.js";
+import { minimalInputs } from "./finesse.js";
+import { createGarbage, Garbage, garbageLeft, garbageRow } from "./garbage.js";
+import { gravityFor, GravityTable, guidelineGravity } from "./gravity.js";
+import { modeRules, ModeRules } from "./modes.js";
+import { spills, targetCovered } from "./picture.js";
+import { Objective, objectiveMet, seedBoard } from "./puzzle.js";
+import { createRandomizer, nextPiece, Randomizer, RandomizerAlgorithm } from "./randomizer.js";
+import { pieceDefinition, pieceIndex, pieceKicks, PieceSet, standardSet } from "./pieces.js";
+import { getKicks, nextRotation, Rotation } from "./rotation.js";
+import { ClearResult, createScoreState, guideline, Ruleset, ScoreEvent, ScoreState, Spin } from "./scoring.js";
+
+/**
+ * The game itself, without any DOM. Everything that decides what happens on the
+ * board lives on the object returned by createEngine, so a game can be driven from
+ * the page, from Node or from tests, and several can run side by side.
+ */
+
+/** 0 is empty, -1 is garbage, and anything above 0 a block of the piece at that index in the piece set, plus one. */
+export type Cell = number;
+export type Matrix = Cell[][];
+/** Name of a piece in the piece set. */
+export type PieceType = string;
+
+/** Index of the mode's rules in modeRules. New modes are only ever appended, so recorded modes keep their meaning. */
+export type Mode = number;
+
+/**
+ * move:     moving or rotating on the ground restarts the lock timer, up to maxLockResets times
+ *
+ * step:     only falling to a new lowest row restarts the lock timer
+ *
+ * infinite: moving or rotating on the ground always restarts the lock timer
+ */
+export type LockReset = "move" | "step" | "infinite";
+
+/**
+ * blockOut:    a new piece spawned overlapping the stack
+ *
+ * lockOut:     a piece locked entirely inside the hidden rows above the visible field
+ *
+ * topOut:      rising garbage pushed the stack up past the top of the arena
+ *
+ * goal:        the line goal was reached, all the garbage cleared or the objective met, which ends the game as a win
+ *
+ * time:        the time limit ran out
+ *
+ * filled:      the fill target was reached or the target covered, which ends the game as a win
+ *
+ * stuck:       no piece on offer can be dropped into the visible field any more
+ *
+ * spilled:     a piece locked with a cell outside the target
+ *
+ * outOfPieces: the fixed piece sequence ran out before the target was covered
+ */
+export type GameOverReason =
+	| "blockOut"
+	| "lockOut"
+	| "topOut"
+	| "goal"
+	| "time"
+	| "filled"
+	| "stuck"
+	| "spilled"
+	| "outOfPieces";
+
+/** One action the player can take during a step. */
+export type Input = "left" | "right" | "down" | "hardDrop" | "rotateLeft" | "rotateRight" | "hold";
+
+/** A button for one of the inputs going down or coming back up. */
+export type InputEvent = {
+	input: Input;
+	down: boolean;
+};
+
+/** Logic ticks per second. Every step of the engine is one tick. */
+export const tickRate = 60;
+/** Length of one tick in milliseconds. */
+export const tickLength = 1000 / tickRate;
+
+/** A piece locking: what it did to the board, and which piece it was. */
+export type LockEvent = ClearResult & {
+	piece: PieceType;
+	/** Presses beyond the fewest that make the same placement, or -1 if the piece was not judged. */
+	finesse: number;
+};
+
+export type Player = {
+	pos: { x: number; y: number };
+	matrix: Matrix;
+	type: PieceType;
+	/** Current SRS orientation state, 0 being the orientation the piece set draws it in. */
+	rotation: Rotation;
+	/**
+	 * Index of the kick used by the last rotation, or -1 if the piece has moved
+	 * since. Only a piece whose last action was a rotation can lock as a T-spin.
+	 */
+	lastKick: number;
+	score: number;
+};
+
+export type EngineOptions = {
+	/** Board width in cells. Defaults to 10. */
+	width?: number;
+	/** Height of the visible field in cells. Defaults to 20. */
+	height?: number;
+	/** Buffer rows above the visible field, where pieces spawn. Defaults to 20. */
+	hiddenRows?: number;
+	/** Defaults to a random seed. */
+	seed?: number;
+	randomizer?: RandomizerAlgorithm;
+	/** How many upcoming pieces to show, 0 to 6. Defaults to 5. */
+	previewLength?: number;
+	/** Milliseconds a piece may rest on the stack before it locks. Defaults to 500. */
+	lockDelay?: number;
+	/** Defaults to "move". */
+	lockReset?: LockReset;
+	/** Defaults to 15. */
+	maxLockResets?: number;
+	/** Ticks left or right has to be held before it starts repeating. Defaults to 10. */
+	das?: number;
+	/** Ticks between repeated moves once repeating, 0 for straight to the wall. Defaults to 2. */
+	arr?: number;
+	/** Ticks between rows while soft drop is held. Defaults to 2. */
+	softDropRate?: number;
+	/** Defaults to the guideline ruleset. */
+	scoring?: Ruleset;
+	/** Level the game starts on. Defaults to 1. */
+	startLevel?: number;
+	/** Defaults to the guideline curve. */
+	gravity?: GravityTable;
+	/** Lines that end the game, 0 for none. Defaults to 0. */
+	lineGoal?: number;
+	/** Milliseconds of play that end the game, 0 for none. Defaults to 0. */
+	timeLimit?: number;
+	/** Percentage of the visible field that, once filled, ends the game, 0 for none. Defaults to 0. */
+	fillTarget?: number;
+	/** Shape to cover exactly, as rows of "#" and ".", or empty for none. Defaults to none. */
+	target?: string[];
+	/** Pieces to deal in this order instead of from the randomizer, or empty for none. Defaults to none. */
+	pieces?: PieceType[];
+	/** Rows of garbage the game starts with, 0 for none. Defaults to 0. */
+	garbageRows?: number;
+	/** Chance in percent that each garbage row has its hole in a different column from the one below. Defaults to 0. */
+	messiness?: number;
+	/** Milliseconds between garbage rows pushed up from the bottom during play, 0 for none. Defaults to 0. */
+	garbageRise?: number;
+	/** Rows the board starts with, written as in puzzle levels, or empty for an empty board. Defaults to empty. */
+	board?: string[];
+	/** What has to be done to win, or null for nothing. Defaults to null. */
+	objective?: Objective | null;
+	/** Pieces the game is played with. Defaults to the standard tetrominoes. */
+	pieceSet?: PieceSet;
+};
+
+/** Payloads for everything the engine reports to whoever is presenting it. */
+export interface EngineEvents {
+	/** The score changed. */
+	score: number;
+	/** The level changed. */
+	level: number;
+	/** A piece locked. */
+	lock: LockEvent;
+	/** Points were awarded for something worth calling out. */
+	scoreEvent: ScoreEvent;
+	/** The game ended. The board is left as it was for the results screen. */
+	gameOver: GameOverReason;
+	mode: Mode;
+	pause: boolean;
+}
+
+export type Engine = {
+	arena: Matrix;
+	player: Player;
+	mode: Mode;
+	paused: boolean;
+	/** Why the game ended, or null while it is still going. */
+	gameOver: GameOverReason | null;
+	/** Ticks played this game, not counting pauses. */
+	frame: number;
+	/** Milliseconds played this game, not counting pauses. Always frame * tickLength. */
+	time: number;
+	/** Pieces locked this game. */
+	pieces: number;
+	/**
+	 * Buffer rows at the top of the arena, above the visible field. Pieces spawn
+	 * with their lowest blocks in the lowest of them; a piece locking entirely inside them locks out.
+	 */
+	hiddenRows: number;
+	randomizer: Randomizer;
+	/** Upcoming pieces, next one first. Always holds at least previewLength pieces. */
+	queue: PieceType[];
+	previewLength: number;
+	/** The piece in the hold slot, if any. */
+	hold: PieceType | null;
+	/** Set once the player has held this turn, cleared when the next piece spawns. */
+	holdLocked: boolean;
+	/** Rows of gravity built up since the piece last fell, in cells. */
+	dropCounter: number;
+	gravity: GravityTable;
+	startLevel: number;
+	/** Picks the gravity and multiplies line-clear points. Goes up every 10 lines. */
+	level: number;
+	/** Lines cleared this game. */
+	lines: number;
+	/** Lines that end the game, 0 for none. */
+	lineGoal: number;
+	/** Milliseconds of play that end the game, 0 for none. Counted in ticks like time, so it never depends on the frame rate. */
+	timeLimit: number;
+	/** Percentage of the visible field that, once filled, ends the game, 0 for none. */
+	fillTarget: number;
+	/**
+	 * Shape that, once covered, ends the game, as rows of "#" and "." sitting on the
+	 * floor. A piece locking outside it ends the game too. Empty for none.
+	 */
+	target: string[];
+	/** Pieces dealt in this order instead of from the randomizer, empty to use the randomizer. */
+	sequence: PieceType[];
+	/** How many pieces of the sequence have gone into the queue. */
+	dealt: number;
+	/**
+	 * Rows of garbage the game started with, 0 for none. Unless garbage rises, the
+	 * game ends once every garbage row is cleared.
+	 */
+	garbageRows: number;
+	/** Chance in percent that each garbage row has its hole in a different column from the one below. */
+	messiness: number;
+	/** Milliseconds between garbage rows pushed up from the bottom during play, 0 for none. Counted in ticks like time. */
+	garbageRise: number;
+	garbage: Garbage;
+	/** Rows every game starts with at the bottom of the board, written as in puzzle levels. Empty for an empty board. */
+	board: string[];
+	/** Meeting this with a lock ends the game as a win. Null for no objective. */
+	objective: Objective | null;
+	/** Pieces the game is played with. The randomizer deals from them and the board stores their blocks by index. */
+	pieceSet: PieceSet;
+	scoring: Ruleset;
+	scoreState: ScoreState;
+	lockDelay: number;
+	lockReset: LockReset;
+	maxLockResets: number;
+	/** Ticks the active piece has been resting on the stack. */
+	lockTimer: number;
+	/** Lock timer restarts used by the active piece since it last fell to a new lowest row. */
+	lockResets: number;
+	/** Lowest row the active piece has reached, used to tell new descents from kicks back up. */
+	lowestY: number;
+	das: number;
+	arr: number;
+	softDropRate: number;
+	/** Ticks each repeating input has been held for, or -1 while it is up. */
+	held: { left: number; right: number; down: number };
+	/**
+	 * Presses of left, right and the rotations since the active piece spawned, for
+	 * judging finesse. -1 once it has been soft dropped, which leaves it unjudged.
+	 */
+	pieceInputs: number;
+	collide: () => boolean;
+	merge: () => void;
+	rotate: (matrix: Matrix, dir: number) => void;
+	/** Removes full rows and returns how many there were. Does nothing in modes without line clears. */
+	arenaSweep: () => number;
+	/**
+	 * Pushes rows of garbage up from the bottom of the arena. The active piece stays
+	 * where it is unless the stack rises into it, in which case it is pushed up too.
+	 * Anything pushed out of the top of the arena tops out.
+	 */
+	insertGarbage: (rows: number) => void;
+	/** Returns the next count pieces without taking them off the queue. */
+	peekQueue: (count: number) => PieceType[];
+	/** Takes the next piece off the queue and refills it from the randomizer. */
+	takeFromQueue: () => PieceType;
+	setPreviewLength: (length: number) => void;
+	playerReset: () => void;
+	/**
+	 * Swaps the active piece into the hold slot, bringing out the held piece or the
+	 * next one in the queue. Returns false if the player already held this turn.
+	 */
+	playerHold: () => boolean;
+	/**
+	 * Moves the active piece down. Once it rests on the stack this does nothing but
+	 * let the lock timer run, except when gravity is off in this mode, where pushing
+	 * down on the stack locks the piece straight away. Returns false if the piece
+	 * could not move.
+	 */
+	playerDrop: (offset: number) => boolean;
+	/** Whether the active piece is resting on the stack or the floor. */
+	grounded: () => boolean;
+	/**
+	 * Drops the active piece straight down and locks it. Returns the number of rows
+	 * it fell, or -1 if hard drop is off in this mode.
+	 */
+	playerHardDrop: () => number;
+	/** Row the active piece would land on if dropped straight down, or its own row before any piece has spawned. */
+	ghostY: () => number;
+	/** The optional rules for the current mode. */
+	rules: () => ModeRules;
+	/** Returns false if the piece could not move. */
+	playerMove: (offset: number) => boolean;
+	/**
+	 * Turns the active piece, trying each SRS kick in order. Returns false and leaves
+	 * the piece untouched if every kick collides.
+	 */
+	playerRotate: (dir: number) => boolean;
+	/** Whether the game is taking input and running: not over, and not paused in a mode that pauses. */
+	canAct: () => boolean;
+	/**
+	 * Advances the game by one tick: applies the input events in order, repeats held
+	 * inputs, then runs gravity and the lock timer. The same events on the same
+	 * ticks from the same seed always play out the same game. Does nothing, and
+	 * drops the events, while the game cannot act. Pausing releases every held input.
+	 */
+	step: (events: readonly InputEvent[]) => void;
+	/**
+	 * Clears the board, score and game over and starts over with a fresh randomizer. Passing
+	 * the same seed and algorithm again replays the same piece sequence.
+	 */
+	newGame: (options?: EngineOptions) => void;
+	/** Changes to the given mode, or to the next one in modeRules, bringing out a fresh piece if there is one left. */
+	switchMode: (mode?: Mode) => void;
+	togglePause: () => void;
+	on: <K extends keyof EngineEvents>(event: K, listener: (data: EngineEvents[K]) => void) => void;
+};
+
+export function createMatrix(w: number, h: number) {
+	var matrix: Matrix = [];
+	while (h--) {
+		matrix.push(new Array(w).fill(0));
+	}
+	return matrix;
+}
+
+/**
+ * Creates a piece of the set in its spawn orientation, each block holding the
+ * piece's cell value.
+ */
+export function createPiece(type: PieceType, set: PieceSet = standardSet): Matrix {
+	var definition = pieceDefinition(set, type);
+	var value = pieceIndex(set, type) + 1;
+	var matrix = definition.shape.map((row) => row.split("").map((cell) => (cell == "#" ? value : 0)));
+	for (var i = 0; i < definition.spawn; i++) {
+		rotate(matrix, 1);
+	}
+	return matrix;
+}
+
+export function collide(arena: Matrix, player: { pos: { x: number; y: number }; matrix: Matrix }) {
+	for (var y = 0; y < player.matrix.length; ++y) {
+		for (var x = 0; x < player.matrix[y].length; ++x) {
+			if (
+				player.matrix[y][x] !== 0 &&
+				(arena[y + player.pos.y] && arena[y + player.pos.y][x + player.pos.x]) !== 0
+			) {
+				return true;
+			}
+		}
+	}
+	return false;
+}
+
+export function merge(arena: Matrix, player: { pos: { x: number; y: number }; matrix: Matrix }) {
+	player.matrix.forEach((row, y) => {
+		row.forEach((value, x) => {
+			if (value !== 0) {
+				arena[y + player.pos.y][x + player.pos.x] = value;
+			}
+		});
+	});
+}
+
+/**
+ * Rotates a square matrix in place. A positive dir turns it clockwise, anything
+ * else counter-clockwise.
+ */
+export function rotate(matrix: Matrix, dir: number) {
+	for (var y = 0; y < matrix.length; ++y) {
+		for (var x = 0; x < y; ++x) {
+			var temp = matrix[y][x];
+			matrix[y][x] = matrix[x][y];
+			matrix[x][y] = temp;
+		}
+	}
+
+	if (dir > 0) {
+		matrix.forEach((row) => row.reverse());
+	} else {
+		matrix.reverse();
+	}
+}
+
+function clampPreviewLength(length: number) {
+	return Math.max(0, Math.min(6, length | 0));
+}
+
+/** Corners of a T-spinning piece's 3x3 box, front two first, for each orientation. */
+const tCorners: readonly (readonly [number, number])[][] = [
+	[[0, 0], [2, 0], [0, 2], [2, 2]],
+	[[2, 0], [2, 2], [0, 0], [0, 2]],
+	[[0, 2], [2, 2], [0, 0], [2, 0]],
+	[[0, 0], [0, 2], [2, 0], [2, 2]],
+];
+
+/**
+ * Three-corner T-spin check, to be run before the piece is merged, for pieces of
+ * the set that can T-spin. Three or more occupied corners make a T-spin; it is a
+ * full one if both corners on the pointing side are occupied or the last kick of
+ * the table was needed, a mini otherwise. Walls and the floor count as occupied.
+ */
+export function detectSpin(arena: Matrix, player: Player, set: PieceSet = standardSet): Spin {
+	if (!pieceDefinition(set, player.type).tSpin || player.lastKick < 0) {
+		return "none";
+	}
+	var filled = tCorners[player.rotation].map(([x, y]) => {
+		var row = arena[y + player.pos.y];
+		return !row || row[x + player.pos.x] !== 0;
+	});
+	var count = filled.filter((corner) => corner).length;
+	if (count < 3) {
+		return "none";
+	}
+	if ((filled[0] && filled[1]) || player.lastKick == 4) {
+		return "full";
+	}
+	return "mini";
+}
+
+export function createEngine(options: EngineOptions = {}): Engine {
+	var listeners: { [event: string]: ((data: any) => void)[] } = {};
+
+	function emit<K extends keyof EngineEvents>(event: K, data: EngineEvents[K]) {
+		var list = listeners[event];
+		if (list) {
+			list.forEach((listener) => listener(data));
+		}
+	}
+
+	function rules() {
+		return modeRules[engine.mode];
+	}
+
+	/** Whether the game is running and the player is allowed to move the piece. */
+	function canAct() {
+		return engine.gameOver == null && (engine.paused == false || !rules().gravity);
+	}
+
+	function arenaSweep() {
+		var rowCount = 0;
+		if (rules().lineClears) {
+			var arena = engine.arena;
+			outer: for (var y = arena.length - 1; y > 0; --y) {
+				for (var x = 0; x < arena[y].length; ++x) {
+					if (arena[y][x] === 0) {
+						continue outer;
+					}
+				}
+
+				var row = arena.splice(y, 1)[0].fill(0);
+				arena.unshift(row);
+				++y;
+
+				rowCount++;
+			}
+		}
+		return rowCount;
+	}
+
+	function insertGarbage(rows: number) {
+		var arena = engine.arena;
+		var player = engine.player;
+		var width = arena[0].length;
+		var overflow = false;
+		for (var i = 0; i < rows; i++) {
+			var top = arena.shift() as Cell[];
+			overflow = overflow || top.some((value) => value !== 0);
+			arena.push(garbageRow(engine.garbage, width, engine.messiness));
+		}
+		for (var pushed = 0; pushed < rows && collide(arena, player); pushed++) {
+			player.pos.y--;
+			engine.lowestY--;
+		}
+		if (overflow) {
+			endGame("topOut");
+		}
+	}
+
+	/** Whether the game had garbage to dig through, none of it rising, and all of it is cleared. */
+	function garbageCleared() {
+		return engine.garbageRows > 0 && engine.garbageRise == 0 && garbageLeft(engine.arena) == 0;
+	}
+
+	/** Whether a garbage row is due on this tick. */
+	function garbageDue() {
+		var period = engine.garbageRise * tickRate;
+		return period > 0 && Math.floor((engine.frame * 1000) / period) > Math.floor(((engine.frame - 1) * 1000) / period);
+	}
+
+	function award(events: ScoreEvent[]) {
+		events.forEach((event) => {
+			engine.player.score += event.points;
+			emit("scoreEvent", event);
+		});
+	}
+
+	function updateScore() {
+		emit("score", engine.player.score);
+	}
+
+	function updateLevel() {
+		var level = rules().levelUp ? engine.startLevel + Math.floor(engine.lines / 10) : engine.startLevel;
+		if (level != engine.level) {
+			engine.level = level;
+			emit("level", level);
+		}
+	}
+
+	/** Whether there are pieces left to deal: always, unless a fixed sequence has all been dealt. */
+	function canDeal() {
+		return engine.sequence.length == 0 || engine.dealt < engine.sequence.length;
+	}
+
+	function deal() {
+		if (engine.sequence.length > 0) {
+			return engine.sequence[engine.dealt++];
+		}
+		return nextPiece(engine.randomizer);
+	}
+
+	function fillQueue() {
+		while (engine.queue.length < Math.max(engine.previewLength, 1) && canDeal()) {
+			engine.queue.push(deal());
+		}
+	}
+
+	function peekQueue(count: number) {
+		fillQueue();
+		while (engine.queue.length < count && canDeal()) {
+			engine.queue.push(deal());
+		}
+		return engine.queue.slice(0, count);
+	}
+
+	/** Whether no piece is left to bring out: the sequence is dealt, the queue empty and the hold slot too. */
+	function outOfPieces() {
+		return peekQueue(1).length == 0 && engine.hold == null;
+	}
+
+	function takeFromQueue() {
+		fillQueue();
+		var piece = engine.queue.shift() as PieceType;
+		fillQueue();
+		return piece;
+	}
+
+	function setPreviewLength(length: number) {
+		engine.previewLength = clampPreviewLength(length);
+		fillQueue();
+	}
+
+	function endGame(reason: GameOverReason) {
+		engine.gameOver = reason;
+		if (rules().fillTargets.length > 0) {
+			award(fillScore(engine.arena, engine.hiddenRows));
+			updateScore();
+		}
+		emit("gameOver", reason);
+	}
+
+	function fillTargetReached() {
+		var cells = (engine.arena.length - engine.hiddenRows) * engine.arena[0].length;
+		return engine.fillTarget > 0 && filledCells(engine.arena, engine.hiddenRows) * 100 >= engine.fillTarget * cells;
+	}
+
+	/** Whether neither the active piece nor the one holding would bring out can be dropped into the visible field. */
+	function stuck() {
+		var arena = engine.arena;
+		if (canPlace(arena, engine.hiddenRows, engine.player.type, engine.pieceSet)) {
+			return false;
+		}
+		var alternative = engine.hold || peekQueue(1)[0];
+		return engine.holdLocked || !alternative || !canPlace(arena, engine.hiddenRows, alternative, engine.pieceSet);
+	}
+
+	/**
+	 * Puts a fresh piece of the given type at the top of the board in its spawn
+	 * orientation, its lowest blocks in the lowest hidden row. If it does not fit
+	 * the game is over.
+	 */
+	function spawn(type: PieceType) {
+		var player = engine.player;
+		player.type = type;
+		player.matrix = createPiece(player.type, engine.pieceSet);
+		player.rotation = pieceDefinition(engine.pieceSet, type).spawn;
+		player.lastKick = -1;
+		player.pos.y = Math.max(0, engine.hiddenRows - 1 - lowestBlock(player.matrix));
+		player.pos.x = spawnX(player.matrix);
+		engine.pieceInputs = 0;
+		engine.lockTimer = 0;
+		engine.lockResets = 0;
+		engine.lowestY = player.pos.y;
+		if (collide(engine.arena, player)) {
+			endGame("blockOut");
+		}
+	}
+
+	/** Row of the matrix that holds its lowest block. */
+	function lowestBlock(matrix: Matrix) {
+		var y = matrix.length - 1;
+		while (y > 0 && matrix[y].every((value) => value === 0)) {
+			y--;
+		}
+		return y;
+	}
+
+	/** Column a piece with this matrix spawns in, centred and rounded to the left. */
+	function spawnX(matrix: Matrix) {
+		return Math.floor((engine.arena[0].length - matrix[0].length) / 2);
+	}
+
+	/** Presses the active piece took beyond the fewest needed for where it is now, or -1 if it is not judged. */
+	function finesseFaults() {
+		var player = engine.player;
+		if (engine.pieceInputs < 0) {
+			return -1;
+		}
+		var width = engine.arena[0].length;
+		var set = engine.pieceSet;
+		var fewest = minimalInputs(set, player.type, width, spawnX(createPiece(player.type, set)), player.rotation, player.pos.x);
+		return Math.max(0, engine.pieceInputs - fewest);
+	}
+
+	/** Whether every cell of the active piece is above the visible field. */
+	function lockedOut() {
+		var player = engine.player;
+		return player.matrix.every((row, y) => row.every((value) => value === 0 || y + player.pos.y < engine.hiddenRows));
+	}
+
+	/** Brings out the next piece, or the held one once a fixed sequence has been dealt. */
+	function playerReset() {
+		engine.holdLocked = false;
+		if (peekQueue(1).length == 0 && engine.hold) {
+			var held = engine.hold;
+			engine.hold = null;
+			spawn(held);
+			return;
+		}
+		spawn(takeFromQueue());
+	}
+
+	function playerHold() {
+		if (!canAct() || engine.holdLocked || (engine.hold == null && peekQueue(1).length == 0)) {
+			return false;
+		}
+		var held = engine.hold;
+		engine.hold = engine.player.type;
+		engine.holdLocked = true;
+		spawn(held || takeFromQueue());
+		engine.dropCounter = 0;
+		return true;
+	}
+
+	/** Fixes the active piece into the board and brings out the next one. */
+	function lock() {
+		var spin = detectSpin(engine.arena, engine.player, engine.pieceSet);
+		var finesse = finesseFaults();
+		var lockOut = lockedOut();
+		var spilled = engine.target.length > 0 && spills(engine.target, engine.arena, engine.player);
+		merge(engine.arena, engine.player);
+		engine.pieces++;
+		var clear: ClearResult = { lines: arenaSweep(), spin };
+		var objectiveDone = engine.objective != null && objectiveMet(engine.objective, clear, engine.arena);
+		award(engine.scoring.lock(engine.scoreState, clear, engine.level));
+		engine.lines += clear.lines;
+		updateLevel();
+		emit("lock", { lines: clear.lines, spin: clear.spin, piece: engine.player.type, finesse });
+		updateScore();
+		if (lockOut) {
+			endGame("lockOut");
+		} else if (spilled) {
+			endGame("spilled");
+		} else if ((engine.lineGoal > 0 && engine.lines >= engine.lineGoal) || garbageCleared() || objectiveDone) {
+			endGame("goal");
+		} else if (fillTargetReached() || (engine.target.length > 0 && targetCovered(engine.target, engine.arena))) {
+			endGame("filled");
+		} else if (outOfPieces()) {
+			endGame("outOfPieces");
+		} else {
+			playerReset();
+			if (engine.gameOver == null && rules().fillTargets.length > 0 && stuck()) {
+				endGame("stuck");
+			}
+		}
+	}
+
+	/** Moves the active piece down by offset rows. Returns false if it did not fit. */
+	function fall(offset: number) {
+		var player = engine.player;
+		player.pos.y += offset;
+		if (collide(engine.arena, player)) {
+			player.pos.y -= offset;
+			return false;
+		}
+		player.lastKick = -1;
+		checkDescent();
+		return true;
+	}
+
+	function playerDrop(offset: number) {
+		if (!canAct()) {
+			return false;
+		}
+		var moved = fall(offset);
+		if (!moved && !rules().gravity) {
+			lock();
+		}
+		engine.dropCounter = 0;
+		return moved;
+	}
+
+	function softDrop() {
+		if (playerDrop(1)) {
+			engine.player.score += engine.scoring.softDrop(1, engine.level);
+			updateScore();
+		}
+	}
+
+	function grounded() {
+		var player = engine.player;
+		return collide(engine.arena, { pos: { x: player.pos.x, y: player.pos.y + 1 }, matrix: player.matrix });
+	}
+
+	/** Restarts the lock timer whenever the piece reaches a row it has not been on before. */
+	function checkDescent() {
+		if (engine.player.pos.y > engine.lowestY) {
+			engine.lowestY = engine.player.pos.y;
+			engine.lockTimer = 0;
+			engine.lockResets = 0;
+		}
+	}
+
+	/** Called after a successful move or rotation, which may restart the lock timer. */
+	function lockDelayReset() {
+		checkDescent();
+		if (engine.lockReset == "step" || engine.lockTimer == 0) {
+			return;
+		}
+		if (engine.lockReset == "move") {
+			if (engine.lockResets >= engine.maxLockResets) {
+				return;
+			}
+			engine.lockResets++;
+		}
+		engine.lockTimer = 0;
+	}
+
+	function ghostY() {
+		var player = engine.player;
+		// Before the first piece spawns there is nothing to drop, and nothing would ever collide
+		if (player.matrix.length == 0) {
+			return player.pos.y;
+		}
+		var ghost = { pos: { x: player.pos.x, y: player.pos.y }, matrix: player.matrix };
+		while (!collide(engine.arena, ghost)) {
+			ghost.pos.y++;
+		}
+		return ghost.pos.y - 1;
+	}
+
+	function playerHardDrop() {
+		if (!canAct() || !rules().hardDrop) {
+			return -1;
+		}
+		var player = engine.player;
+		var y = ghostY();
+		var distance = y - player.pos.y;
+		if (distance > 0) {
+			player.lastKick = -1;
+		}
+		player.pos.y = y;
+		player.score += engine.scoring.hardDrop(distance, engine.level);
+		lock();
+		engine.dropCounter = 0;
+		return distance;
+	}
+
+	function playerMove(offset: number) {
+		if (!canAct()) {
+			return false;
+		}
+		var player = engine.player;
+		player.pos.x += offset;
+		if (collide(engine.arena, player)) {
+			player.pos.x -= offset;
+			return false;
+		}
+		player.lastKick = -1;
+		lockDelayReset();
+		return true;
+	}
+
+	function playerRotate(dir: number) {
+		if (!canAct()) {
+			return false;
+		}
+		var player = engine.player;
+		var from = player.rotation;
+		var to = nextRotation(from, dir);
+		var x = player.pos.x;
+		var y = player.pos.y;
+		var kicks = getKicks(pieceKicks(pieceDefinition(engine.pieceSet, player.type)), from, to);
+		rotate(player.matrix, dir);
+		for (var i = 0; i < kicks.length; i++) {
+			player.pos.x = x + kicks[i][0];
+			player.pos.y = y - kicks[i][1];
+			if (!collide(engine.arena, player)) {
+				player.rotation = to;
+				player.lastKick = i;
+				lockDelayReset();
+				return true;
+			}
+		}
+		rotate(player.matrix, -dir);
+		player.pos.x = x;
+		player.pos.y = y;
+		return false;
+	}
+
+	function applyInput(input: Input) {
+		switch (input) {
+			case "left":
+				playerMove(-1);
+				break;
+			case "right":
+				playerMove(1);
+				break;
+			case "down":
+				softDrop();
+				break;
+			case "hardDrop":
+				playerHardDrop();
+				break;
+			case "rotateLeft":
+				playerRotate(-1);
+				break;
+			case "rotateRight":
+				playerRotate(1);
+				break;
+			case "hold":
+				playerHold();
+				break;
+		}
+	}
+
+	function handleEvent(event: InputEvent) {
+		var input = event.input;
+		if (input == "left" || input == "right" || input == "down") {
+			engine.held[input] = event.down ? 0 : -1;
+		}
+		if (event.down && canAct()) {
+			if (input == "down") {
+				engine.pieceInputs = -1;
+			} else if (input != "hardDrop" && input != "hold" && engine.pieceInputs >= 0) {
+				engine.pieceInputs++;
+			}
+			applyInput(input);
+		}
+	}
+
+	function releaseAll() {
+		engine.held = { left: -1, right: -1, down: -1 };
+	}
+
+	/** Repeats held moves once they pass the DAS, and held soft drop every softDropRate ticks. */
+	function autoRepeat() {
+		var held = engine.held;
+		if (held.left >= 0) {
+			held.left++;
+		}
+		if (held.right >= 0) {
+			held.right++;
+		}
+		if (held.down >= 0) {
+			held.down++;
+		}
+
+		// With both held, the one pressed last wins.
+		var dir = 0;
+		var frames = -1;
+		if (held.left >= 0 && (held.right < 0 || held.left <= held.right)) {
+			dir = -1;
+			frames = held.left;
+		} else if (held.right >= 0) {
+			dir = 1;
+			frames = held.right;
+		}
+		if (dir != 0 && frames >= engine.das) {
+			if (engine.arr == 0) {
+				while (playerMove(dir)) {}
+			} else if ((frames - engine.das) % engine.arr == 0) {
+				playerMove(dir);
+			}
+		}
+
+		if (held.down > 0 && held.down % engine.softDropRate == 0) {
+			softDrop();
+		}
+	}
+
+	function step(events: readonly InputEvent[]) {
+		if (!canAct()) {
+			return;
+		}
+		events.forEach(handleEvent);
+		if (!canAct()) {
+			return;
+		}
+		autoRepeat();
+		if (!canAct()) {
+			return;
+		}
+		engine.frame++;
+		engine.time = engine.frame * tickLength;
+		// Compared in whole numbers, as frame * tickLength can land a hair under the limit.
+		if (engine.timeLimit > 0 && engine.frame * 1000 >= engine.timeLimit * tickRate) {
+			endGame("time");
+			return;
+		}
+		if (garbageDue()) {
+			insertGarbage(1);
+			if (engine.gameOver != null) {
+				return;
+			}
+		}
+		if (!rules().gravity) {
+			return;
+		}
+		engine.dropCounter += gravityFor(rules().gravityTable || engine.gravity, engine.level);
+		while (engine.dropCounter >= 1) {
+			engine.dropCounter--;
+			if (!fall(1)) {
+				engine.dropCounter = 0;
+			}
+		}
+		if (grounded()) {
+			engine.lockTimer++;
+			var outOfResets = engine.lockReset == "move" && engine.lockResets >= engine.maxLockResets;
+			if (engine.lockTimer * tickLength >= engine.lockDelay || outOfResets) {
+				lock();
+			}
+		}
+	}
+
+	function newGame(options: EngineOptions = {}) {
+		if (options.width != undefined || options.height != undefined || options.hiddenRows != undefined) {
+			var width = options.width || engine.arena[0].length;
+			var height = options.height || engine.arena.length - engine.hiddenRows;
+			engine.hiddenRows = options.hiddenRows == undefined ? engine.hiddenRows : Math.max(0, options.hiddenRows);
+			engine.arena = createMatrix(width, height + engine.hiddenRows);
+		}
+		if (options.board) {
+			engine.board = options.board.slice();
+		}
+		if (options.objective !== undefined) {
+			engine.objective = options.objective;
+		}
+		if (options.pieceSet) {
+			engine.pieceSet = options.pieceSet;
+		}
+		engine.arena.forEach((row) => row.fill(0));
+		seedBoard(engine.arena, engine.board, engine.pieceSet);
+		engine.gameOver = null;
+		engine.frame = 0;
+		engine.time = 0;
+		releaseAll();
+		engine.pieces = 0;
+		engine.player.score = 0;
+		engine.lines = 0;
+		engine.scoreState = createScoreState();
+		engine.dropCounter = 0;
+		if (options.startLevel != undefined) {
+			engine.startLevel = Math.max(1, options.startLevel | 0);
+		}
+		if (options.gravity) {
+			engine.gravity = options.gravity;
+		}
+		if (options.lineGoal != undefined) {
+			engine.lineGoal = Math.max(0, options.lineGoal);
+		}
+		if (options.timeLimit != undefined) {
+			engine.timeLimit = Math.max(0, options.timeLimit);
+		}
+		if (options.fillTarget != undefined) {
+			engine.fillTarget = Math.max(0, options.fillTarget);
+		}
+		if (options.target) {
+			engine.target = options.target.slice();
+		}
+		if (options.pieces) {
+			engine.sequence = options.pieces.slice();
+		}
+		engine.dealt = 0;
+		if (options.garbageRows != undefined) {
+			engine.garbageRows = Math.max(0, options.garbageRows | 0);
+		}
+		if (options.messiness != undefined) {
+			engine.messiness = Math.max(0, Math.min(100, options.messiness));
+		}
+		if (options.garbageRise != undefined) {
+			engine.garbageRise = Math.max(0, options.garbageRise);
+		}
+		engine.level = engine.startLevel;
+		emit("level", engine.level);
+		if (engine.paused) {
+			engine.paused = false;
+			emit("pause", false);
+		}
+		engine.randomizer = createRandomizer(options.randomizer || engine.randomizer.algorithm, options.seed, engine.pieceSet);
+		engine.garbage = createGarbage(engine.randomizer.seed, engine.arena[0].length);
+		insertGarbage(engine.garbageRows);
+		engine.queue = [];
+		engine.hold = null;
+		if (options.scoring) {
+			engine.scoring = options.scoring;
+		}
+		if (options.das != undefined) {
+			engine.das = options.das;
+		}
+		if (options.arr != undefined) {
+			engine.arr = options.arr;
+		}
+		if (options.softDropRate != undefined) {
+			engine.softDropRate = Math.max(1, options.softDropRate);
+		}
+		if (options.previewLength != undefined) {
+			engine.previewLength = clampPreviewLength(options.previewLength);
+		}
+		playerReset();
+		updateScore();
+	}
+
+	function switchMode(mode?: Mode) {
+		engine.mode = mode == undefined ? (engine.mode + 1) % modeRules.length : mode;
+		// Once a fixed sequence is all dealt there is no next piece, so the active one stays
+		if (engine.gameOver == null && !outOfPieces()) {
+			playerReset();
+		}
+		emit("mode", engine.mode);
+	}
+
+	function togglePause() {
+		if (rules().gravity && engine.gameOver == null) {
+			engine.paused = !engine.paused;
+			releaseAll();
+			emit("pause", engine.paused);
+		}
+	}
+
+	var hiddenRows = options.hiddenRows == undefined ? 20 : Math.max(0, options.hiddenRows);
+	var pieceSet = options.pieceSet || standardSet;
+	var engine: Engine = {
+		arena: createMatrix(options.width || 10, (options.height || 20) + hiddenRows),
+		player: {
+			pos: { x: 0, y: 0 },
+			matrix: [],
+			type: "T",
+			rotation: 0,
+			lastKick: -1,
+			score: 0,
+		},
+		mode: 0,
+		paused: false,
+		gameOver: null,
+		frame: 0,
+		time: 0,
+		pieces: 0,
+		hiddenRows,
+		randomizer: createRandomizer(options.randomizer, options.seed, pieceSet),
+		queue: [],
+		hold: null,
+		holdLocked: false,
+		previewLength: clampPreviewLength(options.previewLength == undefined ? 5 : options.previewLength),
+		dropCounter: 0,
+		gravity: options.gravity || guidelineGravity,
+		startLevel: Math.max(1, (options.startLevel || 1) | 0),
+		level: Math.max(1, (options.startLevel || 1) | 0),
+		lines: 0,
+		lineGoal: options.lineGoal || 0,
+		timeLimit: options.timeLimit || 0,
+		fillTarget: options.fillTarget || 0,
+		target: options.target ? options.target.slice() : [],
+		sequence: options.pieces ? options.pieces.slice() : [],
+		dealt: 0,
+		garbageRows: Math.max(0, (options.garbageRows || 0) | 0),
+		messiness: Math.max(0, Math.min(100, options.messiness || 0)),
+		garbageRise: options.garbageRise || 0,
+		garbage: createGarbage(0, options.width || 10),
+		board: options.board ? options.board.slice() : [],
+		objective: options.objective || null,
+		pieceSet,
+		scoring: options.scoring || guideline,
+		scoreState: createScoreState(),
+		lockDelay: options.lockDelay == undefined ? 500 : options.lockDelay,
+		lockReset: options.lockReset || "move",
+		maxLockResets: options.maxLockResets == undefined ? 15 : options.maxLockResets,
+		lockTimer: 0,
+		lockResets: 0,
+		lowestY: 0,
+		das: options.das == undefined ? 10 : options.das,
+		arr: options.arr == undefined ? 2 : options.arr,
+		softDropRate: Math.max(1, options.softDropRate == undefined ? 2 : options.softDropRate),
+		held: { left: -1, right: -1, down: -1 },
+		pieceInputs: 0,
+		collide: () => collide(engine.arena, engine.player),
+		merge: () => merge(engine.arena, engine.player),
+		rotate,
+		arenaSweep,
+		insertGarbage,
+		peekQueue,
+		takeFromQueue,
+		setPreviewLength,
+		playerReset,
+		playerHold,
+		playerDrop,
+		grounded,
+		playerHardDrop,
+		ghostY,
+		rules,
+		playerMove,
+		playerRotate,
+		canAct,
+		step,
+		newGame,
+		switchMode,
+		togglePause,
+		on(event, listener) {
+			var list = listeners[event] || (listeners[event] = []);
+			list.push(listener);
+		},
+	};
+	seedBoard(engine.arena, engine.board, engine.pieceSet);
+
+	return engine;
+}
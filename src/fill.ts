@@ -0,0 +1,82 @@
+import { collide, createPiece, Matrix, PieceType, rotate } from "./engine.js";
+import { PieceSet } from "./pieces.js";
+import { ScoreEvent } from "./scoring.js";
+
+/**
+ * Measuring how full the visible field is, for Fill mode, where rows are never
+ * cleared and the aim is to leave as few gaps as possible.
+ */
+
+/** Points per filled cell, and taken off per hole, at the end of a Fill game. */
+const cellPoints = 10;
+const holePenalty = 30;
+
+/** Filled cells in the visible field, below the hidden rows. */
+function filledCells(arena: Matrix, hiddenRows: number) {
+	var count = 0;
+	for (var y = hiddenRows; y < arena.length; y++) {
+		count += arena[y].filter((value) => value !== 0).length;
+	}
+	return count;
+}
+
+/** Share of the visible field that is filled, from 0 to 1. */
+function fillRatio(arena: Matrix, hiddenRows: number) {
+	var cells = (arena.length - hiddenRows) * arena[0].length;
+	return cells > 0 ? filledCells(arena, hiddenRows) / cells : 0;
+}
+
+/** Empty cells in the visible field with a filled cell somewhere above them. */
+function countHoles(arena: Matrix, hiddenRows: number) {
+	var holes = 0;
+	for (var x = 0; x < arena[0].length; x++) {
+		var covered = false;
+		for (var y = 0; y < arena.length; y++) {
+			if (arena[y][x] !== 0) {
+				covered = true;
+			} else if (covered && y >= hiddenRows) {
+				holes++;
+			}
+		}
+	}
+	return holes;
+}
+
+/**
+ * Whether a piece of the given type can be dropped straight down from the top,
+ * in any orientation and column, and land entirely inside the visible field.
+ */
+function canPlace(arena: Matrix, hiddenRows: number, type: PieceType, set: PieceSet) {
+	var matrix = createPiece(type, set);
+	for (var turn = 0; turn < 4; turn++) {
+		for (var x = -matrix.length; x < arena[0].length; x++) {
+			var piece = { pos: { x, y: 0 }, matrix };
+			if (collide(arena, piece)) {
+				continue;
+			}
+			while (!collide(arena, piece)) {
+				piece.pos.y++;
+			}
+			piece.pos.y--;
+			var inside = matrix.every((row, y) => row.every((value) => value === 0 || y + piece.pos.y >= hiddenRows));
+			if (inside) {
+				return true;
+			}
+		}
+		rotate(matrix, 1);
+	}
+	return false;
+}
+
+/** What a finished Fill board is worth: points for every filled cell, less a penalty for every hole. */
+function fillScore(arena: Matrix, hiddenRows: number): ScoreEvent[] {
+	var points = filledCells(arena, hiddenRows) * cellPoints;
+	var holes = countHoles(arena, hiddenRows);
+	var events: ScoreEvent[] = [{ points, label: "FILLED " + Math.floor(fillRatio(arena, hiddenRows) * 100) + "%" }];
+	if (holes > 0) {
+		events.push({ points: -Math.min(points, holes * holePenalty), label: holes + (holes == 1 ? " HOLE" : " HOLES") });
+	}
+	return events;
+}
+
+export { canPlace, countHoles, fillRatio, fillScore, filledCells };
@@ -0,0 +1,107 @@
+import { createPiece, Matrix, PieceType, rotate } from "./engine.js";
+import { pieceDefinition, pieceKicks, PieceSet } from "./pieces.js";
+import { getKicks, KickTable, nextRotation, Rotation } from "./rotation.js";
+
+/**
+ * Finesse: placing each piece with as few presses as possible. Only left, right and
+ * the rotations count, and holding left or right into the wall counts as one press.
+ */
+
+/** An orientation and the column of the left edge of its matrix. */
+type Placement = {
+	rotation: Rotation;
+	x: number;
+};
+
+/** The piece's matrix in each orientation, by orientation state. */
+function orientations(set: PieceSet, type: PieceType, spawn: Rotation) {
+	var matrices: Matrix[] = [];
+	var matrix = createPiece(type, set);
+	for (var i = 0; i < 4; i++) {
+		matrices[(spawn + i) % 4] = matrix.map((row) => row.slice());
+		rotate(matrix, 1);
+	}
+	return matrices;
+}
+
+/** Whether every cell lies between the walls. Nothing else is in the way on an empty board. */
+function inside(matrix: Matrix, x: number, width: number) {
+	return matrix.every((row) => row.every((value, cx) => value === 0 || (x + cx >= 0 && x + cx < width)));
+}
+
+/**
+ * The cells a placement covers once dropped, the same for every orientation and
+ * column that drop into the same cells.
+ */
+function footprint(matrix: Matrix, placement: Placement) {
+	var cells: string[] = [];
+	var top = -1;
+	matrix.forEach((row, y) => {
+		row.forEach((value, x) => {
+			if (value !== 0) {
+				if (top < 0) {
+					top = y;
+				}
+				cells.push(placement.x + x + "," + (y - top));
+			}
+		});
+	});
+	return cells.sort().join(" ");
+}
+
+/** Every placement one press away: a step either way, into either wall, or a turn either way. */
+function moves(kicks: KickTable, matrices: Matrix[], from: Placement, width: number) {
+	var matrix = matrices[from.rotation];
+	var result: Placement[] = [];
+	[-1, 1].forEach((dir) => {
+		var x = from.x;
+		if (inside(matrix, x + dir, width)) {
+			result.push({ rotation: from.rotation, x: x + dir });
+			while (inside(matrix, x + dir, width)) {
+				x += dir;
+			}
+			result.push({ rotation: from.rotation, x });
+		}
+	});
+	[-1, 1].forEach((dir) => {
+		var to = nextRotation(from.rotation, dir);
+		var kick = getKicks(kicks, from.rotation, to).filter((kick) => inside(matrices[to], from.x + kick[0], width))[0];
+		if (kick) {
+			result.push({ rotation: to, x: from.x + kick[0] });
+		}
+	});
+	return result;
+}
+
+/**
+ * Fewest presses that take a piece from where it spawns to the given orientation
+ * and column on an empty board of the given width. Searches every placement
+ * reachable in one press, then two, and so on.
+ */
+function minimalInputs(set: PieceSet, type: PieceType, width: number, spawnX: number, rotation: Rotation, x: number) {
+	var definition = pieceDefinition(set, type);
+	var kicks = pieceKicks(definition);
+	var matrices = orientations(set, type, definition.spawn);
+	var goal = footprint(matrices[rotation], { rotation, x });
+	var seen: { [key: string]: boolean } = {};
+	var frontier: Placement[] = [{ rotation: definition.spawn, x: spawnX }];
+	for (var presses = 0; frontier.length > 0; presses++) {
+		var next: Placement[] = [];
+		for (var i = 0; i < frontier.length; i++) {
+			var placement = frontier[i];
+			var key = placement.rotation + "," + placement.x;
+			if (seen[key]) {
+				continue;
+			}
+			seen[key] = true;
+			if (footprint(matrices[placement.rotation], placement) == goal) {
+				return presses;
+			}
+			next = next.concat(moves(kicks, matrices, placement, width));
+		}
+		frontier = next;
+	}
+	return 0;
+}
+
+export { minimalInputs };
@@ -0,0 +1,47 @@
+import { Cell, Matrix } from "./engine.js";
+import { roll } from "./randomizer.js";
+
+/**
+ * Garbage: rows that are full but for one hole, pushed up from the bottom of the
+ * board for the player to dig through.
+ */
+
+/** Everything the generator needs, kept in a plain object so it can be saved and carry on where it left off. */
+export type Garbage = {
+	/** PRNG state, advanced on every roll. */
+	state: number;
+	/** Column of the hole in the last row made. */
+	hole: number;
+};
+
+/** Cell value of garbage, which is drawn in its own colour. Below zero, so it never clashes with a piece of any set. */
+const garbageCell: Cell = -1;
+
+/** Mixed into the game's seed, so garbage holes do not follow the piece sequence. */
+const seedSalt = 0x5bd1e995;
+
+function createGarbage(seed: number, width: number): Garbage {
+	var garbage = { state: (seed ^ seedSalt) >>> 0, hole: 0 };
+	garbage.hole = (width * roll(garbage)) | 0;
+	return garbage;
+}
+
+/**
+ * Makes the next garbage row. Its hole lines up with the one in the row made
+ * before, except that with the given chance in percent it moves to another column.
+ */
+function garbageRow(garbage: Garbage, width: number, messiness: number) {
+	if (roll(garbage) * 100 < messiness) {
+		garbage.hole = (garbage.hole + 1 + (((width - 1) * roll(garbage)) | 0)) % width;
+	}
+	var row: Cell[] = new Array(width).fill(garbageCell);
+	row[garbage.hole] = 0;
+	return row;
+}
+
+/** Rows of the arena with any garbage left in them. */
+function garbageLeft(arena: Matrix) {
+	return arena.filter((row) => row.indexOf(garbageCell) != -1).length;
+}
+
+export { createGarbage, garbageCell, garbageLeft, garbageRow };
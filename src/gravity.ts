@@ -0,0 +1,29 @@
+/**
+ * Gravity in cells per frame (G), at 60 frames per second. 1G drops a piece one
+ * row every frame; 20G puts it on the stack the moment it spawns.
+ */
+export type GravityTable = readonly number[];
+
+/**
+ * The guideline curve, (0.8 - (level - 1) * 0.007) ^ (level - 1) seconds per row,
+ * reaching 20G at level 19. Index 0 is level 1.
+ */
+const guidelineGravity: GravityTable = [
+	0.01667, 0.02102, 0.02698, 0.03526, 0.04692, 0.06361, 0.08787, 0.1237, 0.1775, 0.2598, 0.3878, 0.5906, 0.9181,
+	1.457, 2.361, 3.909, 6.614, 11.44, 20,
+];
+
+/**
+ * Marathon's curve, in the NES style: whole frames per row, so it speeds up in steps
+ * and reaches 1G only at level 30, leaving room for 200 lines and more.
+ */
+const marathonGravity: GravityTable = [
+	48, 43, 38, 33, 28, 23, 18, 13, 8, 6, 5, 5, 5, 4, 4, 4, 3, 3, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1,
+].map((frames) => 1 / frames);
+
+/** Levels past the end of the table keep its last value. */
+function gravityFor(table: GravityTable, level: number) {
+	return table[Math.max(0, Math.min(table.length, level) - 1)];
+}
+
+export { gravityFor, guidelineGravity, marathonGravity };
@@ -0,0 +1,73 @@
+import { Ranking } from "./modes.js";
+import { Stats } from "./stats.js";
+import { readItem, readJson, writeItem } from "./storage.js";
+
+/**
+ * Local high-score tables, one per mode, kept in localStorage.
+ */
+
+export type HighScore = {
+	name: string;
+	score: number;
+	lines: number;
+	level: number;
+	/** Milliseconds played. */
+	time: number;
+	/** When the game ended, as an ISO string. */
+	date: string;
+	/** Missing from entries made before stats were kept. */
+	stats?: Stats;
+};
+
+/** Stored tables by name, each best first. */
+type HighScoreTables = { [table: string]: HighScore[] };
+
+/** Entries kept per table. */
+const tableLength = 10;
+const storageKey = "highscores";
+const nameKey = "playerName";
+
+/** Whether a ranks above b. Ties go to whoever got there first. */
+function beats(a: HighScore, b: HighScore, ranking: Ranking) {
+	if (ranking == "time") {
+		return a.time < b.time;
+	}
+	return a.score > b.score;
+}
+
+/** The named table, best first. Empty if nothing has been recorded in it. */
+function highScores(table: string): HighScore[] {
+	var entries = readJson<HighScoreTables>(storageKey)[table];
+	return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Adds a finished game to the named table and stores it. Returns the entry's place
+ * in the table, or -1 if it did not make the top ten.
+ */
+function addHighScore(table: string, entry: HighScore, ranking: Ranking) {
+	var tables = readJson<HighScoreTables>(storageKey);
+	var entries = Array.isArray(tables[table]) ? tables[table] : [];
+	var rank = 0;
+	while (rank < entries.length && !beats(entry, entries[rank], ranking)) {
+		rank++;
+	}
+	if (rank >= tableLength) {
+		return -1;
+	}
+	entries.splice(rank, 0, entry);
+	tables[table] = entries.slice(0, tableLength);
+	writeItem(storageKey, JSON.stringify(tables));
+	return rank;
+}
+
+/** The name last entered, written into every new entry. */
+function playerName() {
+	return readItem(nameKey) || "Player";
+}
+
+function setPlayerName(name: string) {
+	writeItem(nameKey, name);
+}
+
+export { addHighScore, highScores, playerName, setPlayerName, tableLength };
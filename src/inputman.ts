@@ -1,15 +1,21 @@
 //Using http://kallaspriit.github.io/HTML5-JavaScript-Gamepad-Controller-Library/
 
+import { Input } from "./engine.js";
+import { MenuAction } from "./menu.js";
 import {
+	controlReplay,
 	dbt,
-	move,
-	playerReset,
+	navigateMenu,
+	offerResume,
+	pressInput,
+	ReplayAction,
+	releaseInput,
 	running,
 	setRunning,
+	startGame,
 	switchMode,
 	togglePause,
 	update,
-	updateScore,
 } from "./tetris.js";
 
 type Gamepad = {
@@ -22,21 +28,47 @@ type Gamepad = {
 	Event: {};
 };
 
-//There are about 60 Inputs per second. This sets how much of them to "skip"
-var inputStepPause = 6; //Moving-Input: Left,Right,Down
+//Buttons that drive the overlay menus (results, main menu) while one is open
+var menuControls: { [control: string]: MenuAction } = {
+	DPAD_UP: "up",
+	DPAD_DOWN: "down",
+	FACE_1: "confirm",
+	FACE_2: "confirm",
+	START_FORWARD: "confirm",
+};
+
+//Buttons that control playback while a replay is being watched
+var replayControls: { [control: string]: ReplayAction } = {
+	START_FORWARD: "playPause",
+	SELECT_BACK: "playPause",
+	LEFT_TOP_SHOULDER: "slower",
+	RIGHT_TOP_SHOULDER: "faster",
+	DPAD_RIGHT: "step",
+	FACE_2: "exit",
+};
+
+//Buttons bound to game inputs. Press and release both go to the game, which repeats held moves itself
+var buttonInputs: { [control: string]: Input } = {
+	DPAD_LEFT: "left",
+	DPAD_RIGHT: "right",
+	DPAD_DOWN: "down",
+	DPAD_UP: "hardDrop",
+	LEFT_TOP_SHOULDER: "rotateLeft",
+	RIGHT_TOP_SHOULDER: "rotateRight",
+	RIGHT_BOTTOM_SHOULDER: "hold",
+};
 
-var inputStep = 0;
 var gamepad = new Gamepad() as any as Gamepad;
-var holdLeft = false;
-var holdRight = false;
-var holdDown = false;
-var holdUp = false;
+var stickLeft = false;
+var stickRight = false;
+var stickDown = false;
 
 gamepad.bind("connected", function () {
 	dbt.innerHTML = "Gamepad Detected";
 	if (!running) {
-		playerReset();
-		updateScore();
+		if (!offerResume()) {
+			startGame();
+		}
 		update();
 		setRunning(true);
 	}
@@ -44,28 +76,17 @@ gamepad.bind("connected", function () {
 
 gamepad.bind("button-down", function (e) {
 	dbt.innerHTML = "" + e.control;
+	if (menuControls[e.control] && navigateMenu(menuControls[e.control])) {
+		return;
+	}
+	if (replayControls[e.control] && controlReplay(replayControls[e.control])) {
+		return;
+	}
+	if (buttonInputs[e.control]) {
+		pressInput(buttonInputs[e.control]);
+		return;
+	}
 	switch (e.control) {
-		case "DPAD_LEFT":
-			holdLeft = true;
-			break;
-		case "RIGHT_BOTTOM_SHOULDER":
-			//location.reload();
-			break;
-		case "DPAD_RIGHT":
-			holdRight = true;
-			break;
-		case "DPAD_DOWN":
-			holdDown = true;
-			break;
-		case "DPAD_UP":
-			holdUp = true;
-			break;
-		case "LEFT_TOP_SHOULDER":
-			move("z", 0);
-			break;
-		case "RIGHT_TOP_SHOULDER":
-			move("z", 1);
-			break;
 		case "START_FORWARD":
 			togglePause();
 			break;
@@ -79,63 +100,33 @@ gamepad.bind("button-down", function (e) {
 });
 
 gamepad.bind("button-up", function (e) {
-	switch (e.control) {
-		case "DPAD_LEFT":
-			holdLeft = false;
-			break;
-		case "DPAD_RIGHT":
-			holdRight = false;
-			break;
-		case "DPAD_DOWN":
-			holdDown = false;
-			break;
-		case "DPAD_UP":
-			holdUp = false;
-			break;
+	if (buttonInputs[e.control]) {
+		releaseInput(buttonInputs[e.control]);
 	}
 });
 
-gamepad.bind("tick", function () {
-	if (inputStep >= inputStepPause) {
-		if (holdLeft) {
-			move("x", -1);
-		}
-		if (holdRight) {
-			move("x", 1);
-		}
-		if (holdDown) {
-			move("y", 1);
-		}
-		if (holdUp) {
-			move("y", -2);
-		}
-		inputStep = 0;
-	} else {
-		inputStep++;
+/**
+ * The stick reports positions rather than presses, so only send the game a press
+ * or release when a direction actually changes.
+ */
+function setStick(input: "left" | "right" | "down", held: boolean, wasHeld: boolean) {
+	if (held && !wasHeld) {
+		pressInput(input);
+	} else if (!held && wasHeld) {
+		releaseInput(input);
 	}
-});
+	return held;
+}
 
 gamepad.bind("axis-changed", function (e) {
 	dbt.innerHTML = "" + e.value + " | " + e.axis;
 	switch (e.axis) {
 		case "LEFT_STICK_X":
-			if (e.value < -0.5) {
-				holdLeft = true;
-				holdRight = false;
-			} else if (e.value > 0.5) {
-				holdRight = true;
-				holdLeft = false;
-			} else if (e.value < 0.5 || e.value > -0.5) {
-				holdLeft = false;
-				holdRight = false;
-			}
+			stickLeft = setStick("left", e.value < -0.5, stickLeft);
+			stickRight = setStick("right", e.value > 0.5, stickRight);
 			break;
 		case "LEFT_STICK_Y":
-			if (e.value > 0.5) {
-				holdDown = true;
-			} else if (e.value < 0.5) {
-				holdDown = false;
-			}
+			stickDown = setStick("down", e.value > 0.5, stickDown);
 			break;
 	}
 });
@@ -0,0 +1,58 @@
+/**
+ * A list of choices on one of the overlay screens, navigated with the gamepad.
+ */
+export type MenuItem = {
+	label: string;
+	action: () => void;
+};
+
+export type MenuAction = "up" | "down" | "confirm";
+
+export type Menu = {
+	items: MenuItem[];
+	selected: number;
+	/** Moves the selection or runs the selected item. */
+	navigate: (action: MenuAction) => void;
+	render: () => void;
+};
+
+/**
+ * Fills the list element with one entry per item and keeps the selected entry
+ * marked with the "selected" class.
+ */
+function createMenu(list: HTMLElement, items: MenuItem[]): Menu {
+	var menu: Menu = {
+		items,
+		selected: 0,
+		navigate(action) {
+			if (action == "up") {
+				menu.selected = (menu.selected + menu.items.length - 1) % menu.items.length;
+			} else if (action == "down") {
+				menu.selected = (menu.selected + 1) % menu.items.length;
+			} else if (menu.items[menu.selected]) {
+				menu.items[menu.selected].action();
+				return;
+			}
+			menu.render();
+		},
+		render() {
+			list.innerHTML = "";
+			menu.items.forEach((item, i) => {
+				var entry = document.createElement("li");
+				entry.innerText = item.label;
+				if (i == menu.selected) {
+					entry.className = "selected";
+				}
+				entry.addEventListener("click", function () {
+					menu.selected = i;
+					item.action();
+				});
+				list.appendChild(entry);
+			});
+		},
+	};
+	menu.render();
+	return menu;
+}
+
+export { createMenu };
@@ -0,0 +1,336 @@
+import { GravityTable, marathonGravity } from "./gravity.js";
+
+/** How a mode's high-score table is ordered: most points first, or fastest time first. */
+export type Ranking = "score" | "time";
+
+/**
+ * Per-mode switches for the optional rules. The engine looks these up by its
+ * current mode instead of checking mode numbers directly.
+ */
+export type ModeRules = {
+	/** Shown in the stats table. */
+	name: string;
+	/** Whether pieces fall on their own. Without gravity there is also no pausing. */
+	gravity: boolean;
+	/** Whether the hard-drop input instantly places and locks the piece. */
+	hardDrop: boolean;
+	/** Whether the landing position of the active piece is drawn. */
+	ghost: boolean;
+	/** Whether full rows are cleared. */
+	lineClears: boolean;
+	ranking: Ranking;
+	/**
+	 * Line counts a game can be played to, the default first, 0 for playing on until
+	 * topping out. Empty if clearing lines never ends the game.
+	 */
+	lineGoals: number[];
+	/** Milliseconds a game can last, the default first. Empty if there is no time limit. */
+	timeLimits: number[];
+	/**
+	 * Percentages of the visible field a game can be played to fill, the default
+	 * first. A mode with these ends when no piece fits and scores the board at the end.
+	 */
+	fillTargets: number[];
+	/**
+	 * Rows of garbage a game can start with, the default first. Unless garbage rises,
+	 * a mode with these ends once every garbage row is cleared.
+	 */
+	garbageRows: number[];
+	/** Milliseconds between garbage rows pushed up from the bottom during play, 0 for none. */
+	garbageRise: number;
+	/** Whether clearing lines raises the level. Without it the level, and with it gravity, stays at the start level. */
+	levelUp: boolean;
+	/** Gravity curve used instead of the one the game was started with. */
+	gravityTable?: GravityTable;
+	/** Whether a ready/go countdown runs before the clock starts. */
+	countdown: boolean;
+	/** Whether the running time is shown over the board. */
+	timer: boolean;
+	/** Whether the results list the time spent on each level rather than the split times. */
+	levelSummary: boolean;
+	/**
+	 * Whether games are played on levels from the picture level file, covering a
+	 * target shape. These earn stars instead of going in a high-score table.
+	 */
+	picture: boolean;
+	/**
+	 * Whether games are played on levels from the puzzle level file, each an authored
+	 * board, piece sequence and objective. These go in no high-score table either.
+	 */
+	puzzle: boolean;
+	/** Piece-set file the mode's games are played with, or empty for the standard tetrominoes. */
+	pieceSet: string;
+};
+
+/** Only ever append to this: replays and saves refer to modes by their index. */
+const modeRules: readonly ModeRules[] = [
+	{
+		name: "Normal",
+		gravity: true,
+		hardDrop: true,
+		ghost: true,
+		lineClears: true,
+		ranking: "score",
+		lineGoals: [],
+		timeLimits: [],
+		fillTargets: [],
+		garbageRows: [],
+		garbageRise: 0,
+		levelUp: true,
+		countdown: false,
+		timer: false,
+		levelSummary: false,
+		picture: false,
+		puzzle: false,
+		pieceSet: "",
+	},
+	{
+		name: "Fill",
+		gravity: false,
+		hardDrop: true,
+		ghost: true,
+		lineClears: false,
+		ranking: "score",
+		lineGoals: [],
+		timeLimits: [],
+		fillTargets: [100, 80, 90],
+		garbageRows: [],
+		garbageRise: 0,
+		levelUp: true,
+		countdown: false,
+		timer: false,
+		levelSummary: false,
+		picture: false,
+		puzzle: false,
+		pieceSet: "",
+	},
+	{
+		name: "Sprint",
+		gravity: true,
+		hardDrop: true,
+		ghost: true,
+		lineClears: true,
+		ranking: "time",
+		lineGoals: [40, 20, 100],
+		timeLimits: [],
+		fillTargets: [],
+		garbageRows: [],
+		garbageRise: 0,
+		levelUp: true,
+		countdown: true,
+		timer: true,
+		levelSummary: false,
+		picture: false,
+		puzzle: false,
+		pieceSet: "",
+	},
+	{
+		name: "Ultra",
+		gravity: true,
+		hardDrop: true,
+		ghost: true,
+		lineClears: true,
+		ranking: "score",
+		lineGoals: [],
+		timeLimits: [120000, 60000, 180000, 300000],
+		fillTargets: [],
+		garbageRows: [],
+		garbageRise: 0,
+		levelUp: false,
+		countdown: true,
+		timer: true,
+		levelSummary: false,
+		picture: false,
+		puzzle: false,
+		pieceSet: "",
+	},
+	{
+		name: "Marathon",
+		gravity: true,
+		hardDrop: true,
+		ghost: true,
+		lineClears: true,
+		ranking: "score",
+		lineGoals: [150, 200, 0],
+		timeLimits: [],
+		fillTargets: [],
+		garbageRows: [],
+		garbageRise: 0,
+		levelUp: true,
+		gravityTable: marathonGravity,
+		countdown: true,
+		timer: false,
+		levelSummary: true,
+		picture: false,
+		puzzle: false,
+		pieceSet: "",
+	},
+	{
+		name: "Picture",
+		gravity: false,
+		hardDrop: true,
+		ghost: true,
+		lineClears: false,
+		ranking: "score",
+		lineGoals: [],
+		timeLimits: [],
+		fillTargets: [],
+		garbageRows: [],
+		garbageRise: 0,
+		levelUp: false,
+		countdown: false,
+		timer: true,
+		levelSummary: false,
+		picture: true,
+		puzzle: false,
+		pieceSet: "",
+	},
+	{
+		name: "Dig",
+		gravity: true,
+		hardDrop: true,
+		ghost: true,
+		lineClears: true,
+		ranking: "time",
+		lineGoals: [],
+		timeLimits: [],
+		fillTargets: [],
+		garbageRows: [10, 5, 15],
+		garbageRise: 0,
+		levelUp: true,
+		countdown: true,
+		timer: true,
+		levelSummary: false,
+		picture: false,
+		puzzle: false,
+		pieceSet: "",
+	},
+	{
+		name: "Survival",
+		gravity: true,
+		hardDrop: true,
+		ghost: true,
+		lineClears: true,
+		ranking: "score",
+		lineGoals: [],
+		timeLimits: [],
+		fillTargets: [],
+		garbageRows: [5, 0, 10],
+		garbageRise: 3000,
+		levelUp: true,
+		countdown: true,
+		timer: true,
+		levelSummary: false,
+		picture: false,
+		puzzle: false,
+		pieceSet: "",
+	},
+	{
+		name: "Puzzle",
+		gravity: false,
+		hardDrop: true,
+		ghost: true,
+		lineClears: true,
+		ranking: "score",
+		lineGoals: [],
+		timeLimits: [],
+		fillTargets: [],
+		garbageRows: [],
+		garbageRise: 0,
+		levelUp: false,
+		countdown: false,
+		timer: false,
+		levelSummary: false,
+		picture: false,
+		puzzle: true,
+		pieceSet: "",
+	},
+	{
+		name: "Pentomino",
+		gravity: true,
+		hardDrop: true,
+		ghost: true,
+		lineClears: true,
+		ranking: "score",
+		lineGoals: [],
+		timeLimits: [],
+		fillTargets: [],
+		garbageRows: [],
+		garbageRise: 0,
+		levelUp: true,
+		countdown: false,
+		timer: false,
+		levelSummary: false,
+		picture: false,
+		puzzle: false,
+		pieceSet: "pieces/pentomino.json",
+	},
+	{
+		name: "Party",
+		gravity: true,
+		hardDrop: true,
+		ghost: true,
+		lineClears: true,
+		ranking: "score",
+		lineGoals: [],
+		timeLimits: [],
+		fillTargets: [],
+		garbageRows: [],
+		garbageRise: 0,
+		levelUp: true,
+		countdown: false,
+		timer: false,
+		levelSummary: false,
+		picture: false,
+		puzzle: false,
+		pieceSet: "pieces/party.json",
+	},
+];
+
+/**
+ * The choices a mode offers for how a game goes, its line goals, time limits, fill
+ * targets or starting garbage, the default first. Empty if there are none.
+ */
+function modeOptions(rules: ModeRules) {
+	if (rules.lineGoals.length > 0) {
+		return rules.lineGoals;
+	}
+	if (rules.timeLimits.length > 0) {
+		return rules.timeLimits;
+	}
+	return rules.fillTargets.length > 0 ? rules.fillTargets : rules.garbageRows;
+}
+
+/** Name of the high-score table for games of a mode played with the given one of its modeOptions. */
+function tableName(rules: ModeRules, option: number) {
+	if (rules.lineGoals.length > 0) {
+		return rules.name + " " + (option > 0 ? option + "L" : "endless");
+	}
+	if (rules.timeLimits.length > 0) {
+		return rules.name + " " + option / 60000 + "min";
+	}
+	if (rules.fillTargets.length > 0) {
+		return rules.name + " " + option + "%";
+	}
+	if (rules.garbageRows.length > 0) {
+		return rules.name + " " + option + " rows";
+	}
+	return rules.name;
+}
+
+/** Every high-score table there is, one per mode and option. Picture and puzzle modes have none. */
+function highScoreTables() {
+	var tables: { name: string; rules: ModeRules }[] = [];
+	modeRules.forEach((rules) => {
+		if (rules.picture || rules.puzzle) {
+			return;
+		}
+		var options = modeOptions(rules).length > 0 ? modeOptions(rules) : [0];
+		options.forEach((option) => {
+			tables.push({ name: tableName(rules, option), rules });
+		});
+	});
+	return tables;
+}
+
+export { highScoreTables, modeOptions, modeRules, tableName };
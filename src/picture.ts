@@ -0,0 +1,130 @@
+import { Matrix, PieceType } from "./engine.js";
+import { pieceIndex, standardSet } from "./pieces.js";
+import { readJson, writeItem } from "./storage.js";
+
+/**
+ * Picture puzzles: a target shape drawn on the board, to be covered exactly with
+ * the pieces dealt, without any cell landing outside it. Levels come from a JSON
+ * level file, and the stars earned on each are kept in localStorage.
+ */
+
+export type PictureLevel = {
+	name: string;
+	/**
+	 * Rows of the shape from the top, "#" for a cell to cover and "." for one to
+	 * leave empty. It sits on the floor of the board, centred.
+	 */
+	target: string[];
+	/** Standard pieces dealt in this order, or empty to deal them from the chosen randomizer. */
+	pieces: PieceType[];
+	/** Most pieces used, and milliseconds taken, that still earn a star each on top of the one for covering the shape. */
+	par: { pieces: number; time: number };
+};
+
+/** Stars earned on each level, by level name. */
+type LevelStars = { [name: string]: number };
+
+const storageKey = "pictureStars";
+const maxStars = 3;
+
+/** Where the top left of the target lies in the arena: on the floor, centred. */
+function targetOrigin(target: readonly string[], arena: Matrix) {
+	var width = Math.max(...target.map((row) => row.length));
+	return { x: Math.floor((arena[0].length - width) / 2), y: arena.length - target.length };
+}
+
+/** Whether the given cell of the arena is part of the target. */
+function inTarget(target: readonly string[], arena: Matrix, x: number, y: number) {
+	var origin = targetOrigin(target, arena);
+	var row = target[y - origin.y];
+	return row != undefined && row.charAt(x - origin.x) == "#";
+}
+
+/** Whether every cell of the target is filled. */
+function targetCovered(target: readonly string[], arena: Matrix) {
+	var origin = targetOrigin(target, arena);
+	return target.every((row, y) =>
+		row.split("").every((cell, x) => cell != "#" || arena[origin.y + y][origin.x + x] !== 0),
+	);
+}
+
+/** Whether any filled cell of the piece lies outside the target. */
+function spills(target: readonly string[], arena: Matrix, piece: { pos: { x: number; y: number }; matrix: Matrix }) {
+	return piece.matrix.some((row, y) =>
+		row.some((value, x) => value !== 0 && !inTarget(target, arena, x + piece.pos.x, y + piece.pos.y)),
+	);
+}
+
+/**
+ * Turns the text of a picture level file, a JSON array of levels, into levels. Throws
+ * unless each level has a name of its own, a target of whole tetrominoes that fits a
+ * board of the given size, standard pieces and a par.
+ */
+function parseLevels(text: string, width: number, height: number): PictureLevel[] {
+	var levels = JSON.parse(text) as PictureLevel[];
+	if (!Array.isArray(levels) || levels.length == 0) {
+		throw new Error("Not a level file");
+	}
+	var names: { [name: string]: boolean } = {};
+	levels.forEach((level, i) => {
+		var where = "Level " + (i + 1) + ": ";
+		if (!level || typeof level.name != "string" || !Array.isArray(level.target)) {
+			throw new Error(where + "needs a name and a target");
+		}
+		if (names[level.name]) {
+			throw new Error(where + "name " + level.name + " is used twice");
+		}
+		names[level.name] = true;
+		var cells = level.target.join("").split("#").length - 1;
+		if (cells == 0 || cells % 4 != 0) {
+			throw new Error(where + "target needs a multiple of four cells");
+		}
+		if (level.target.length > height || level.target.some((row) => row.length > width)) {
+			throw new Error(where + "target does not fit a " + width + "x" + height + " board");
+		}
+		level.pieces = level.pieces || [];
+		if (level.pieces.some((type) => pieceIndex(standardSet, type) == -1)) {
+			throw new Error(where + "unknown piece in " + level.pieces.join(""));
+		}
+		if (!level.par || typeof level.par.pieces != "number" || typeof level.par.time != "number") {
+			throw new Error(where + "needs a par of pieces and time");
+		}
+	});
+	return levels;
+}
+
+/**
+ * Stars for covering a level's target: one for finishing, one for using no more
+ * pieces than par and one for taking no longer than par.
+ */
+function starsFor(level: PictureLevel, pieces: number, time: number) {
+	return 1 + (pieces <= level.par.pieces ? 1 : 0) + (time <= level.par.time ? 1 : 0);
+}
+
+/** Most stars earned on the level so far, 0 if it has never been covered. */
+function levelStars(level: PictureLevel) {
+	return readJson<LevelStars>(storageKey)[level.name] || 0;
+}
+
+/** Keeps the stars earned on the level if they beat the best so far. Returns whether they did. */
+function recordStars(level: PictureLevel, stars: number) {
+	var all = readJson<LevelStars>(storageKey);
+	if (stars <= (all[level.name] || 0)) {
+		return false;
+	}
+	all[level.name] = Math.min(stars, maxStars);
+	writeItem(storageKey, JSON.stringify(all));
+	return true;
+}
+
+/** Whether the level at the given index can be played: the first always, every other once the one before is covered. */
+function unlocked(levels: readonly PictureLevel[], index: number) {
+	return index == 0 || levelStars(levels[index - 1]) > 0;
+}
+
+/** Stars out of three as filled and empty ones, for labels. */
+function starText(stars: number) {
+	return "★★★".slice(0, stars) + "☆☆☆".slice(0, maxStars - stars);
+}
+
+export { inTarget, levelStars, parseLevels, recordStars, spills, starsFor, starText, targetCovered, targetOrigin, unlocked };
@@ -0,0 +1,198 @@
+import type { PieceType } from "./engine.js";
+import { KickTable, kickTables, Rotation } from "./rotation.js";
+
+/**
+ * Piece sets: the pieces a game is played with, each with its shape, colour,
+ * spawn orientation and wall kicks. The standard tetrominoes are built in; other
+ * sets come from JSON piece-set files, laid out in the README.
+ */
+
+export type PieceDefinition = {
+	/** Unique within the set. Shown in the stats, and used for the piece in level files. */
+	name: PieceType;
+	/**
+	 * Rows of the piece from the top, "#" for a block and "." for an empty cell,
+	 * filling a square box the piece turns in. Orientation state 0 is this drawing.
+	 */
+	shape: string[];
+	/** CSS colour of its blocks. */
+	colour: string;
+	/** Orientation state it spawns in, in clockwise turns from the drawing. Defaults to 0. */
+	spawn: Rotation;
+	/** One of the built-in tables, "jlstz", "i" or "none", or its own offsets by transition, e.g. "0>1". */
+	kicks: string | KickTable;
+	/** Whether it can lock as a T-spin, judged on the corners of its 3x3 box. Defaults to false. */
+	tSpin: boolean;
+};
+
+/** Where the TGM randomizer starts: the history it rerolls against, and the pieces it may deal first. */
+export type TgmStart = {
+	history: PieceType[];
+	first: PieceType[];
+};
+
+export type PieceSet = {
+	name: string;
+	/** A block of a piece is stored on the board as the piece's index in this list plus one. */
+	pieces: PieceDefinition[];
+	/**
+	 * Defaults to a history of the pieces that leave an overhang on an empty floor,
+	 * repeated to four, and a first piece from the rest.
+	 */
+	tgm?: TgmStart;
+};
+
+/** The seven guideline tetrominoes, in the order the randomizers have always dealt them. */
+const standardSet: PieceSet = {
+	name: "Standard",
+	pieces: [
+		{ name: "T", shape: [".#.", "###", "..."], colour: "#3877FF", spawn: 0, kicks: "jlstz", tSpin: true },
+		{ name: "J", shape: ["#..", "###", "..."], colour: "#0DFF72", spawn: 0, kicks: "jlstz", tSpin: false },
+		{ name: "L", shape: ["..#", "###", "..."], colour: "#0DC2FF", spawn: 0, kicks: "jlstz", tSpin: false },
+		{ name: "O", shape: ["##", "##"], colour: "#F538FF", spawn: 0, kicks: "none", tSpin: false },
+		{ name: "S", shape: [".##", "##.", "..."], colour: "#FFE138", spawn: 0, kicks: "jlstz", tSpin: false },
+		{ name: "Z", shape: ["##.", ".##", "..."], colour: "#FF8E0D", spawn: 0, kicks: "jlstz", tSpin: false },
+		{ name: "I", shape: ["....", "####", "....", "...."], colour: "#FF0D72", spawn: 0, kicks: "i", tSpin: false },
+	],
+	tgm: { history: ["Z", "S", "S", "Z"], first: ["I", "J", "L", "T"] },
+};
+
+/** Names of the set's pieces, in set order. */
+function pieceTypes(set: PieceSet) {
+	return set.pieces.map((piece) => piece.name);
+}
+
+/** Index of the piece in the set, -1 if it has none of that name. */
+function pieceIndex(set: PieceSet, type: PieceType) {
+	for (var i = 0; i < set.pieces.length; i++) {
+		if (set.pieces[i].name === type) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+function pieceDefinition(set: PieceSet, type: PieceType) {
+	var index = pieceIndex(set, type);
+	if (index < 0) {
+		throw new Error("Unknown piece type");
+	}
+	return set.pieces[index];
+}
+
+/** Most rows a piece of the set can span, turned either way, which is also the most lines it can clear at once. */
+function maxPieceSpan(set: PieceSet) {
+	var spans = set.pieces.map((piece) => {
+		var rows = piece.shape.filter((row) => row.indexOf("#") != -1).length;
+		var columns = piece.shape[0].split("").filter((cell, x) => piece.shape.some((row) => row.charAt(x) == "#")).length;
+		return Math.max(rows, columns);
+	});
+	return Math.max(...spans);
+}
+
+/** The shape turned clockwise. */
+function turned(shape: readonly string[]) {
+	return shape.map((row, y) =>
+		shape
+			.map((other) => other.charAt(y))
+			.reverse()
+			.join(""),
+	);
+}
+
+/** Whether the piece, dropped onto an empty floor in its spawn orientation, leaves a gap under any block. */
+function leavesOverhang(definition: PieceDefinition) {
+	var shape = definition.shape;
+	for (var i = 0; i < definition.spawn; i++) {
+		shape = turned(shape);
+	}
+	var filled = shape.filter((row) => row.indexOf("#") != -1);
+	var bottom = filled[filled.length - 1];
+	return filled.some((row) => row.split("").some((cell, x) => cell == "#" && bottom.charAt(x) != "#"));
+}
+
+/** Where the TGM randomizer starts for the set. */
+function tgmStart(set: PieceSet): TgmStart {
+	if (set.tgm) {
+		return set.tgm;
+	}
+	var overhangs = set.pieces.filter(leavesOverhang).map((piece) => piece.name);
+	var history: PieceType[] = [];
+	for (var i = 0; overhangs.length > 0 && i < 4; i++) {
+		history.push(overhangs[i % overhangs.length]);
+	}
+	return { history, first: pieceTypes(set).filter((type) => overhangs.indexOf(type) == -1) };
+}
+
+/** The kick table a piece turns with. */
+function pieceKicks(definition: PieceDefinition): KickTable {
+	return typeof definition.kicks == "string" ? kickTables[definition.kicks] : definition.kicks;
+}
+
+function validKicks(kicks: unknown) {
+	if (typeof kicks == "string") {
+		return kickTables[kicks] != undefined;
+	}
+	if (!kicks || typeof kicks != "object") {
+		return false;
+	}
+	var table = kicks as { [transition: string]: unknown };
+	return Object.keys(table).every((transition) => {
+		var offsets = table[transition];
+		return (
+			/^[0-3]>[0-3]$/.test(transition) &&
+			Array.isArray(offsets) &&
+			offsets.every((kick) => Array.isArray(kick) && kick.length == 2 && kick.every((n) => typeof n == "number"))
+		);
+	});
+}
+
+/**
+ * Turns the text of a piece-set file into a piece set, filling in the defaults,
+ * or throws if it is not one.
+ */
+function parsePieceSet(text: string): PieceSet {
+	var set = JSON.parse(text) as PieceSet;
+	if (!set || typeof set.name != "string" || !Array.isArray(set.pieces) || set.pieces.length == 0) {
+		throw new Error("Not a piece-set file");
+	}
+	var names: { [name: string]: boolean } = {};
+	set.pieces.forEach((piece, i) => {
+		var where = "Piece " + (i + 1) + ": ";
+		if (!piece || typeof piece.name != "string" || piece.name == "" || piece.name == "." || piece.name == "#") {
+			throw new Error(where + "needs a name other than . or #");
+		}
+		if (names[piece.name]) {
+			throw new Error(where + "name " + piece.name + " is used twice");
+		}
+		names[piece.name] = true;
+		var shape = piece.shape;
+		if (!Array.isArray(shape) || shape.length == 0 || shape.some((row) => typeof row != "string" || row.length != shape.length)) {
+			throw new Error(where + "shape needs to be a square box");
+		}
+		if (!/^[#.]+$/.test(shape.join("")) || shape.join("").indexOf("#") == -1) {
+			throw new Error(where + "shape needs blocks, written with # and .");
+		}
+		if (typeof piece.colour != "string") {
+			throw new Error(where + "needs a colour");
+		}
+		piece.spawn = piece.spawn || 0;
+		if ([0, 1, 2, 3].indexOf(piece.spawn) == -1) {
+			throw new Error(where + "spawn needs to be 0 to 3");
+		}
+		if (!validKicks(piece.kicks)) {
+			throw new Error(where + "unknown kicks");
+		}
+		piece.tSpin = piece.tSpin == true;
+		if (piece.tSpin && shape.length != 3) {
+			throw new Error(where + "only a piece in a 3x3 box can T-spin");
+		}
+	});
+	var tgm = set.tgm;
+	if (tgm && (!Array.isArray(tgm.history) || !Array.isArray(tgm.first) || tgm.history.concat(tgm.first).some((type) => !names[type]))) {
+		throw new Error("tgm needs a history and first pieces from the set");
+	}
+	return set;
+}
+
+export { maxPieceSpan, parsePieceSet, pieceDefinition, pieceIndex, pieceKicks, pieceTypes, standardSet, tgmStart };
@@ -0,0 +1,150 @@
+import { Cell, Matrix, PieceType } from "./engine.js";
+import { garbageCell, garbageLeft } from "./garbage.js";
+import { pieceIndex, PieceSet, standardSet } from "./pieces.js";
+import { ClearResult } from "./scoring.js";
+import { readJson, writeItem } from "./storage.js";
+
+/**
+ * Puzzles: an authored board, a fixed piece sequence and an objective to meet with
+ * them. Levels come from a JSON level file, laid out in the README, and which ones
+ * have been solved is kept in localStorage.
+ */
+
+/**
+ * lines:        clear at least lines rows with one piece
+ *
+ * tSpin:        clear at least lines rows with one full T-spin
+ *
+ * perfectClear: leave the board empty
+ *
+ * clearGarbage: clear every grey cell from the board
+ */
+export type Objective =
+	| { type: "lines"; lines: number }
+	| { type: "tSpin"; lines: number }
+	| { type: "perfectClear" }
+	| { type: "clearGarbage" };
+
+export type PuzzleLevel = {
+	name: string;
+	/**
+	 * Rows of the board from the top, sitting on the floor: "." for an empty cell,
+	 * "#" for a grey one and a piece letter for a cell in that piece's colour.
+	 * Levels are played with the standard pieces.
+	 */
+	board: string[];
+	/** Pieces dealt in this order. The puzzle is failed once they run out. */
+	pieces: PieceType[];
+	objective: Objective;
+};
+
+const storageKey = "puzzlesSolved";
+
+/** Cell values for the letters a board is written with, matching the colours of the set's pieces. */
+function boardCells(set: PieceSet) {
+	var cells: { [letter: string]: Cell } = { ".": 0, "#": garbageCell };
+	set.pieces.forEach((piece, i) => {
+		cells[piece.name] = i + 1;
+	});
+	return cells;
+}
+
+/** Writes the board into the bottom of the arena, which is expected to be empty. */
+function seedBoard(arena: Matrix, board: readonly string[], set: PieceSet) {
+	var cells = boardCells(set);
+	var top = arena.length - board.length;
+	board.forEach((row, y) => {
+		row.split("").forEach((letter, x) => {
+			arena[top + y][x] = cells[letter] || 0;
+		});
+	});
+}
+
+/** Whether the lock just made, leaving the arena as it is, meets the objective. */
+function objectiveMet(objective: Objective, clear: ClearResult, arena: Matrix) {
+	switch (objective.type) {
+		case "lines":
+			return clear.lines >= objective.lines;
+		case "tSpin":
+			return clear.spin == "full" && clear.lines >= objective.lines;
+		case "perfectClear":
+			return arena.every((row) => row.every((value) => value === 0));
+		case "clearGarbage":
+			return garbageLeft(arena) == 0;
+	}
+}
+
+const clearNames = ["", "single", "double", "triple", "tetris"];
+
+/** The objective in words, for showing over the board. */
+function objectiveText(objective: Objective) {
+	switch (objective.type) {
+		case "lines":
+			return "Clear " + objective.lines + (objective.lines == 1 ? " line" : " lines") + " with one piece";
+		case "tSpin":
+			return "T-spin " + (clearNames[objective.lines] || objective.lines + " lines");
+		case "perfectClear":
+			return "Perfect clear";
+		case "clearGarbage":
+			return "Clear all grey cells";
+	}
+}
+
+/**
+ * Turns the text of a puzzle file, a JSON array of levels, into levels. Throws unless
+ * each level has a name, a starting board that fits a board of the given size and is
+ * drawn in piece letters, # and ., some standard pieces and a known objective.
+ */
+function parseLevels(text: string, width: number, height: number): PuzzleLevel[] {
+	var levels = JSON.parse(text) as PuzzleLevel[];
+	if (!Array.isArray(levels) || levels.length == 0) {
+		throw new Error("Not a level file");
+	}
+	var cells = boardCells(standardSet);
+	levels.forEach((level, i) => {
+		var where = "Level " + (i + 1) + ": ";
+		if (!level || typeof level.name != "string" || !Array.isArray(level.board)) {
+			throw new Error(where + "needs a name and a board");
+		}
+		if (level.board.length > height || level.board.some((row) => row.length > width)) {
+			throw new Error(where + "board does not fit a " + width + "x" + height + " board");
+		}
+		if (level.board.some((row) => row.split("").some((letter) => cells[letter] == undefined))) {
+			throw new Error(where + "board has a letter other than . # I J L O S T Z");
+		}
+		if (!Array.isArray(level.pieces) || level.pieces.length == 0) {
+			throw new Error(where + "needs pieces");
+		}
+		if (level.pieces.some((type) => pieceIndex(standardSet, type) == -1)) {
+			throw new Error(where + "unknown piece in " + level.pieces.join(""));
+		}
+		var objective = level.objective;
+		if (!objective || ["lines", "tSpin", "perfectClear", "clearGarbage"].indexOf(objective.type) == -1) {
+			throw new Error(where + "unknown objective");
+		}
+		if ((objective.type == "lines" || objective.type == "tSpin") && !(objective.lines > 0)) {
+			throw new Error(where + "objective needs a number of lines");
+		}
+	});
+	return levels;
+}
+
+/** Names of the levels solved so far. */
+type SolvedLevels = { [name: string]: boolean };
+
+function solved(level: PuzzleLevel) {
+	return readJson<SolvedLevels>(storageKey)[level.name] == true;
+}
+
+/** Marks the level solved. Returns false if it already was. */
+function markSolved(level: PuzzleLevel) {
+	var all = readJson<SolvedLevels>(storageKey);
+	if (all[level.name]) {
+		return false;
+	}
+	all[level.name] = true;
+	writeItem(storageKey, JSON.stringify(all));
+	return true;
+}
+
+export { markSolved, objectiveMet, objectiveText, parseLevels, seedBoard, solved };
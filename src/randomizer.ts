@@ -0,0 +1,137 @@
+import type { PieceType } from "./engine.js";
+import { PieceSet, pieceTypes, standardSet, tgmStart } from "./pieces.js";
+
+/**
+ * bag7:   every piece once per bag of seven (the default)
+ *
+ * bag14:  every piece twice per bag of fourteen
+ *
+ * random: every pick independent
+ *
+ * nes:    one reroll if the pick repeats the previous piece
+ *
+ * tgm:    up to five rerolls against a history of the last four pieces
+ */
+export type RandomizerAlgorithm = "bag7" | "bag14" | "random" | "nes" | "tgm";
+
+/**
+ * Everything a randomizer needs is kept in this plain object, so it can be copied
+ * or serialized and carry on producing the exact same sequence.
+ */
+export type Randomizer = {
+	algorithm: RandomizerAlgorithm;
+	seed: number;
+	/** Pieces dealt from, in the order of their piece set. */
+	pieces: PieceType[];
+	/** Pieces the tgm algorithm may deal first. */
+	first: PieceType[];
+	/** Current PRNG state, advanced on every roll. */
+	state: number;
+	/** Pieces left in the current bag. */
+	bag: PieceType[];
+	/** Most recent pieces, newest last. */
+	history: PieceType[];
+};
+
+const algorithms: readonly RandomizerAlgorithm[] = ["bag7", "bag14", "random", "nes", "tgm"];
+
+function randomSeed() {
+	return (Math.random() * 4294967296) >>> 0;
+}
+
+function createRandomizer(
+	algorithm: RandomizerAlgorithm = "bag7",
+	seed: number = randomSeed(),
+	set: PieceSet = standardSet,
+): Randomizer {
+	seed = seed >>> 0;
+	var tgm = tgmStart(set);
+	return {
+		algorithm,
+		seed,
+		pieces: pieceTypes(set),
+		first: tgm.first.slice(),
+		state: seed,
+		bag: [],
+		history: algorithm == "tgm" ? tgm.history.slice() : [],
+	};
+}
+
+/**
+ * mulberry32. Returns a number in [0, 1). Anything that keeps its own PRNG state,
+ * not only a randomizer, can roll with it.
+ */
+function roll(randomizer: { state: number }) {
+	var t = (randomizer.state = (randomizer.state + 0x6d2b79f5) | 0);
+	t = Math.imul(t ^ (t >>> 15), t | 1);
+	t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+	return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function pick<T>(randomizer: Randomizer, list: readonly T[]) {
+	return list[(list.length * roll(randomizer)) | 0];
+}
+
+function fromBag(randomizer: Randomizer, copies: number) {
+	if (randomizer.bag.length == 0) {
+		for (var i = 0; i < copies; i++) {
+			randomizer.bag.push(...randomizer.pieces);
+		}
+	}
+	var index = (randomizer.bag.length * roll(randomizer)) | 0;
+	return randomizer.bag.splice(index, 1)[0];
+}
+
+function fromNes(randomizer: Randomizer) {
+	var pieces = randomizer.pieces;
+	var last = randomizer.history[randomizer.history.length - 1];
+	// Rolling one past the end stands in for the NES's eighth "reroll" value.
+	var index = ((pieces.length + 1) * roll(randomizer)) | 0;
+	if (index == pieces.length || pieces[index] == last) {
+		return pick(randomizer, pieces);
+	}
+	return pieces[index];
+}
+
+function fromTgm(randomizer: Randomizer) {
+	// Nothing has been rolled before the first piece. It is never one that would start the game with an overhang.
+	if (randomizer.state == randomizer.seed && randomizer.first.length > 0) {
+		return pick(randomizer, randomizer.first);
+	}
+	var piece = pick(randomizer, randomizer.pieces);
+	for (var i = 0; i < 5 && randomizer.history.indexOf(piece) != -1; i++) {
+		piece = pick(randomizer, randomizer.pieces);
+	}
+	return piece;
+}
+
+/**
+ * Produces the next piece and advances the randomizer.
+ */
+function nextPiece(randomizer: Randomizer): PieceType {
+	var piece: PieceType;
+	switch (randomizer.algorithm) {
+		case "bag14":
+			piece = fromBag(randomizer, 2);
+			break;
+		case "random":
+			piece = pick(randomizer, randomizer.pieces);
+			break;
+		case "nes":
+			piece = fromNes(randomizer);
+			break;
+		case "tgm":
+			piece = fromTgm(randomizer);
+			break;
+		default:
+			piece = fromBag(randomizer, 1);
+			break;
+	}
+	randomizer.history.push(piece);
+	if (randomizer.history.length > 4) {
+		randomizer.history.shift();
+	}
+	return piece;
+}
+
+export { algorithms, createRandomizer, nextPiece, randomSeed, roll };
@@ -0,0 +1,185 @@
+import { Cell, createPiece, Engine, Matrix, PieceType } from "./engine.js";
+import { garbageCell } from "./garbage.js";
+import { inTarget, targetOrigin } from "./picture.js";
+import { PieceSet } from "./pieces.js";
+
+/** Colour of garbage, whichever piece set is in play. */
+const garbageColour = "#808080";
+
+/** Fill colour of a cell value that is not empty: garbage grey, a piece in its colour from the set. */
+function cellColour(set: PieceSet, value: Cell) {
+	return value == garbageCell ? garbageColour : set.pieces[value - 1].colour;
+}
+
+/**
+ * @param colour draws every cell in this colour instead of the piece colours
+ */
+function drawMatrix(
+	context: CanvasRenderingContext2D,
+	matrix: Matrix,
+	offset: { x: number; y: number },
+	set: PieceSet,
+	colour?: string,
+) {
+	matrix.forEach((row, y) => {
+		row.forEach((value, x) => {
+			if (value !== 0) {
+				context.fillStyle = colour || cellColour(set, value);
+				context.fillRect(x + offset.x, y + offset.y, 1, 1);
+			}
+		});
+	});
+}
+
+/** Size of one board cell, in canvas pixels. */
+const cellSize = 20;
+
+/** Rows of the hidden buffer shown above the visible field. */
+const bufferPeek = 2;
+
+function peekRows(engine: Engine) {
+	return Math.min(bufferPeek, engine.hiddenRows);
+}
+
+/**
+ * Sizes the board canvas to the engine's arena, visible field plus the buffer
+ * peek, and scales the context so that one unit is one cell.
+ */
+function resizeBoard(context: CanvasRenderingContext2D, engine: Engine) {
+	context.canvas.width = engine.arena[0].length * cellSize;
+	context.canvas.height = (engine.arena.length - engine.hiddenRows + peekRows(engine)) * cellSize;
+	context.setTransform(cellSize, 0, 0, cellSize, 0, 0);
+}
+
+/**
+ * Draws the board, the ghost and the active piece, with the bottom of the hidden
+ * buffer shaded at the top. The context is expected to be set up by resizeBoard.
+ *
+ * @param piecePos where to draw the active piece, for drawing it between ticks
+ */
+function draw(context: CanvasRenderingContext2D, engine: Engine, piecePos: { x: number; y: number } = engine.player.pos) {
+	var peek = peekRows(engine);
+	context.fillStyle = "RGBA(0,0,0,0.4)";
+	context.fillRect(0, 0, context.canvas.width, context.canvas.height);
+
+	context.save();
+	context.translate(0, peek - engine.hiddenRows);
+	drawMatrix(
+		context,
+		engine.arena,
+		{
+			x: 0,
+			y: 0,
+		},
+		engine.pieceSet,
+	);
+	if (engine.target.length > 0) {
+		drawTarget(context, engine);
+	}
+	if (engine.rules().ghost) {
+		context.globalAlpha = 0.3;
+		drawMatrix(context, engine.player.matrix, { x: engine.player.pos.x, y: engine.ghostY() }, engine.pieceSet);
+		context.globalAlpha = 1;
+	}
+	drawMatrix(context, engine.player.matrix, piecePos, engine.pieceSet);
+	context.restore();
+
+	if (peek > 0) {
+		context.fillStyle = "RGBA(32,32,40,0.6)";
+		context.fillRect(0, 0, engine.arena[0].length, peek);
+	}
+}
+
+/** Shading and outline of the target shape. */
+const targetFill = "RGBA(255,255,255,0.08)";
+const targetOutline = "#FFFFFF";
+
+/**
+ * Shades the cells of the engine's target and outlines its edges, over whatever
+ * already fills them, so the shape stays visible as it is covered.
+ */
+function drawTarget(context: CanvasRenderingContext2D, engine: Engine) {
+	var target = engine.target;
+	var arena = engine.arena;
+	var origin = targetOrigin(target, arena);
+	context.fillStyle = targetFill;
+	context.strokeStyle = targetOutline;
+	context.lineWidth = 0.1;
+	context.beginPath();
+	target.forEach((row, ty) => {
+		row.split("").forEach((cell, tx) => {
+			if (cell != "#") {
+				return;
+			}
+			var x = origin.x + tx;
+			var y = origin.y + ty;
+			context.fillRect(x, y, 1, 1);
+			// An edge is drawn wherever the neighbouring cell is not part of the target.
+			[
+				[0, -1, x, y, x + 1, y],
+				[0, 1, x, y + 1, x + 1, y + 1],
+				[-1, 0, x, y, x, y + 1],
+				[1, 0, x + 1, y, x + 1, y + 1],
+			].forEach(([dx, dy, x1, y1, x2, y2]) => {
+				if (!inTarget(target, arena, x + dx, y + dy)) {
+					context.moveTo(x1, y1);
+					context.lineTo(x2, y2);
+				}
+			});
+		});
+	});
+	context.stroke();
+}
+
+/** Colour of the held piece while it cannot be swapped. */
+const lockedColour = "#606068";
+
+/** Width of one preview slot, in cells. */
+const previewSlot = 5;
+
+/**
+ * Draws the upcoming pieces of the set left to right, each centred in its own
+ * slot. The context is expected to be scaled so that one unit is one cell.
+ */
+function drawPreview(context: CanvasRenderingContext2D, pieces: readonly PieceType[], set: PieceSet) {
+	context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+	pieces.forEach((type, i) => drawSlot(context, type, i, set));
+}
+
+/**
+ * Draws the held piece, greyed out while the player cannot swap it.
+ */
+function drawHold(context: CanvasRenderingContext2D, type: PieceType | null, locked: boolean, set: PieceSet) {
+	context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+	if (type) {
+		drawSlot(context, type, 0, set, locked ? lockedColour : undefined);
+	}
+}
+
+/** Draws a piece in its spawn orientation, trimmed to its blocks and centred in the slot. */
+function drawSlot(context: CanvasRenderingContext2D, type: PieceType, slot: number, set: PieceSet, colour?: string) {
+	var rows = createPiece(type, set).filter((row) => row.some((value) => value !== 0));
+	var columns = rows[0].map((value, x) => x).filter((x) => rows.some((row) => row[x] !== 0));
+	var matrix = rows.map((row) => row.slice(columns[0], columns[columns.length - 1] + 1));
+	drawMatrix(
+		context,
+		matrix,
+		{
+			x: slot * previewSlot + (previewSlot - matrix[0].length) / 2,
+			y: (3 - matrix.length) / 2,
+		},
+		set,
+		colour,
+	);
+}
+
+/** Formats milliseconds as m:ss.cc, or m:ss.mmm if precise. */
+function formatTime(ms: number, precise?: boolean) {
+	var milliseconds = Math.floor(ms);
+	var seconds = Math.floor(milliseconds / 1000) % 60;
+	var minutes = Math.floor(milliseconds / 60000);
+	var fraction = precise ? ("00" + (milliseconds % 1000)).slice(-3) : ("0" + Math.floor((milliseconds % 1000) / 10)).slice(-2);
+	return minutes + ":" + (seconds < 10 ? "0" : "") + seconds + "." + fraction;
+}
+
+export { draw, drawHold, drawMatrix, drawPreview, formatTime, resizeBoard };
@@ -0,0 +1,295 @@
+import { Engine, EngineOptions, Input, InputEvent, LockReset, Mode, PieceType } from "./engine.js";
+import { PieceSet, standardSet } from "./pieces.js";
+import { Objective } from "./puzzle.js";
+import { RandomizerAlgorithm } from "./randomizer.js";
+import { rulesets } from "./scoring.js";
+
+/**
+ * Everything that decides how a game plays out, so that playing the same input
+ * events against it gives the same game again.
+ */
+export type ReplaySettings = {
+	mode: Mode;
+	seed: number;
+	randomizer: RandomizerAlgorithm;
+	/** Name of the scoring ruleset. */
+	scoring: string;
+	startLevel: number;
+	gravity: number[];
+	width: number;
+	height: number;
+	hiddenRows: number;
+	lockDelay: number;
+	lockReset: LockReset;
+	maxLockResets: number;
+	das: number;
+	arr: number;
+	softDropRate: number;
+	/** Missing from replays recorded before line goals, which had none. */
+	lineGoal: number;
+	/** Missing from replays recorded before time limits, which had none. */
+	timeLimit: number;
+	/** Missing from replays recorded before fill targets, which had none. */
+	fillTarget: number;
+	/** Missing from replays recorded before picture puzzles, which had no target. */
+	target: string[];
+	/** Missing from replays recorded before picture puzzles, which dealt every piece from the randomizer. */
+	pieces: PieceType[];
+	/** Missing from replays recorded before garbage, which had none. */
+	garbageRows: number;
+	/** Missing from replays recorded before garbage. */
+	messiness: number;
+	/** Missing from replays recorded before garbage, which had none rising. */
+	garbageRise: number;
+	/** Missing from replays recorded before puzzles, which started on an empty board. */
+	board: string[];
+	/** Missing from replays recorded before puzzles, which had no objective. */
+	objective: Objective | null;
+	/**
+	 * The whole set, so a replay plays back without its piece-set file. Missing from
+	 * replays recorded before piece sets, which used the standard pieces.
+	 */
+	pieceSet: PieceSet;
+};
+
+/**
+ * A recorded game, stored as it is exported.
+ *
+ * events holds two numbers per input event: the ticks since the previous event,
+ * then the input's index in replayInputs times two, plus one for a press.
+ * modes holds two numbers per mode switch: the tick and the new mode.
+ */
+export type Replay = {
+	version: 1;
+	date: string;
+	settings: ReplaySettings;
+	events: number[];
+	modes: number[];
+	/**
+	 * Ticks the game lasted, counting the tick it ended on even when it ended
+	 * before that tick could count itself, as a lock during held inputs does.
+	 */
+	frames: number;
+	score: number;
+	lines: number;
+};
+
+/** Inputs in the order their codes are numbered in Replay.events. Only ever append to this. */
+const replayInputs: readonly Input[] = ["left", "right", "down", "hardDrop", "rotateLeft", "rotateRight", "hold"];
+
+function replaySettings(engine: Engine): ReplaySettings {
+	return {
+		mode: engine.mode,
+		seed: engine.randomizer.seed,
+		randomizer: engine.randomizer.algorithm,
+		scoring: engine.scoring.name,
+		startLevel: engine.startLevel,
+		gravity: engine.gravity.slice(),
+		width: engine.arena[0].length,
+		height: engine.arena.length - engine.hiddenRows,
+		hiddenRows: engine.hiddenRows,
+		lockDelay: engine.lockDelay,
+		lockReset: engine.lockReset,
+		maxLockResets: engine.maxLockResets,
+		das: engine.das,
+		arr: engine.arr,
+		softDropRate: engine.softDropRate,
+		lineGoal: engine.lineGoal,
+		timeLimit: engine.timeLimit,
+		fillTarget: engine.fillTarget,
+		target: engine.target.slice(),
+		pieces: engine.sequence.slice(),
+		garbageRows: engine.garbageRows,
+		messiness: engine.messiness,
+		garbageRise: engine.garbageRise,
+		board: engine.board.slice(),
+		objective: engine.objective,
+		pieceSet: engine.pieceSet,
+	};
+}
+
+function engineOptions(settings: ReplaySettings): EngineOptions {
+	var scoring = rulesets.filter((ruleset) => ruleset.name == settings.scoring)[0];
+	if (!scoring) {
+		throw new Error("Unknown scoring ruleset " + settings.scoring);
+	}
+	return {
+		seed: settings.seed,
+		randomizer: settings.randomizer,
+		scoring,
+		startLevel: settings.startLevel,
+		gravity: settings.gravity,
+		width: settings.width,
+		height: settings.height,
+		hiddenRows: settings.hiddenRows,
+		lockDelay: settings.lockDelay,
+		lockReset: settings.lockReset,
+		maxLockResets: settings.maxLockResets,
+		das: settings.das,
+		arr: settings.arr,
+		softDropRate: settings.softDropRate,
+		lineGoal: settings.lineGoal || 0,
+		timeLimit: settings.timeLimit || 0,
+		fillTarget: settings.fillTarget || 0,
+		target: settings.target || [],
+		pieces: settings.pieces || [],
+		garbageRows: settings.garbageRows || 0,
+		messiness: settings.messiness || 0,
+		garbageRise: settings.garbageRise || 0,
+		board: settings.board || [],
+		objective: settings.objective || null,
+		pieceSet: settings.pieceSet || standardSet,
+	};
+}
+
+export type Recorder = {
+	replay: Replay;
+	/** Hands the events for the next tick to the engine and writes them down. */
+	step: (events: readonly InputEvent[]) => void;
+	/** Fills in the length and result once the game is over. */
+	finish: () => Replay;
+};
+
+/**
+ * Starts recording the game the engine has just started, or carries on with the
+ * recording of a game that was restored partway through. Every tick of that game
+ * has to go through the recorder's step.
+ */
+function createRecorder(engine: Engine, replay?: Replay): Recorder {
+	var lastFrame = 0;
+	var mode = engine.mode;
+	var paused = engine.paused;
+	if (replay) {
+		for (var i = 0; i < replay.events.length; i += 2) {
+			lastFrame += replay.events[i];
+		}
+		mode = replay.modes.length > 0 ? replay.modes[replay.modes.length - 1] : replay.settings.mode;
+		// A pause just before the save may not have had its releases recorded yet. Releasing twice does no harm.
+		paused = false;
+	} else {
+		replay = {
+			version: 1,
+			date: new Date().toISOString(),
+			settings: replaySettings(engine),
+			events: [],
+			modes: [],
+			frames: 0,
+			score: 0,
+			lines: 0,
+		};
+	}
+	var recording = replay;
+	/** Set once the game has ended partway through a tick, which the engine then never counts. */
+	var endedMidTick = false;
+
+	function record(events: readonly InputEvent[]) {
+		events.forEach((event) => {
+			recording.events.push(engine.frame - lastFrame, replayInputs.indexOf(event.input) * 2 + (event.down ? 1 : 0));
+			lastFrame = engine.frame;
+		});
+	}
+
+	return {
+		replay: recording,
+		step(events) {
+			// Mode switches happen between ticks, so one since the last tick belongs to this one.
+			if (engine.mode != mode) {
+				mode = engine.mode;
+				recording.modes.push(engine.frame, mode);
+			}
+			// Pausing released every held input, which the replay has to do on the same tick.
+			if (engine.paused != paused) {
+				paused = engine.paused;
+				if (paused) {
+					record(["left", "right", "down"].map((input) => ({ input: input as Input, down: false })));
+				}
+			}
+			// The engine drops events while paused or over, so there is nothing to replay.
+			if (!engine.canAct()) {
+				return;
+			}
+			record(events);
+			var frame = engine.frame;
+			engine.step(events);
+			endedMidTick = engine.gameOver != null && engine.frame == frame;
+		},
+		finish() {
+			// Playing back stops once the replay's frames are reached, so the tick the game ended on has to be among them.
+			recording.frames = engine.frame + (endedMidTick ? 1 : 0);
+			recording.score = engine.player.score;
+			recording.lines = engine.lines;
+			return recording;
+		},
+	};
+}
+
+export type ReplayPlayer = {
+	replay: Replay;
+	/** Set once the engine has played out the whole replay. */
+	done: boolean;
+	/** Plays the next tick of the replay. */
+	step: () => void;
+};
+
+/**
+ * Starts the replayed game on the engine. Its ticks then come from the player's
+ * step rather than from input.
+ */
+function createReplayPlayer(engine: Engine, replay: Replay): ReplayPlayer {
+	var frames: number[] = [];
+	var events: InputEvent[] = [];
+	var frame = 0;
+	for (var i = 0; i < replay.events.length; i += 2) {
+		frame += replay.events[i];
+		frames.push(frame);
+		events.push({ input: replayInputs[replay.events[i + 1] >> 1], down: (replay.events[i + 1] & 1) == 1 });
+	}
+	var next = 0;
+	var nextMode = 0;
+
+	// Switching first, as switching during a game brings out a fresh piece, which would be one more than was dealt.
+	if (engine.mode != replay.settings.mode) {
+		engine.switchMode(replay.settings.mode);
+	}
+	engine.newGame(engineOptions(replay.settings));
+
+	var player: ReplayPlayer = {
+		replay,
+		done: false,
+		step() {
+			if (player.done) {
+				return;
+			}
+			while (nextMode < replay.modes.length && replay.modes[nextMode] <= engine.frame) {
+				if (engine.mode != replay.modes[nextMode + 1]) {
+					engine.switchMode(replay.modes[nextMode + 1]);
+				}
+				nextMode += 2;
+			}
+			var tick: InputEvent[] = [];
+			while (next < frames.length && frames[next] <= engine.frame) {
+				tick.push(events[next]);
+				next++;
+			}
+			engine.step(tick);
+			// An input can end the game without the tick counting, so the last tick may share its number with the end.
+			player.done = engine.gameOver != null || (engine.frame >= replay.frames && next >= frames.length);
+		},
+	};
+	return player;
+}
+
+/** Turns an exported replay file back into a replay, or throws if it is not one. */
+function parseReplay(text: string): Replay {
+	var replay = JSON.parse(text) as Replay;
+	if (!replay || typeof replay != "object" || !replay.settings || !Array.isArray(replay.events)) {
+		throw new Error("Not a replay file");
+	}
+	if (replay.version != 1) {
+		throw new Error("Unsupported replay version " + replay.version);
+	}
+	replay.modes = replay.modes || [];
+	return replay;
+}
+
+export { createRecorder, createReplayPlayer, engineOptions, parseReplay, replayInputs, replaySettings };
@@ -0,0 +1,62 @@
+/**
+ * Super Rotation System wall kicks.
+ *
+ * Orientation states are numbered as in the guideline: 0 is the spawn state, 1 is
+ * "R" (one turn clockwise), 2 is two turns and 3 is "L". A piece set can have a
+ * piece spawn in another state, counting from the way its shape is drawn. Offsets are written the
+ * way the guideline tables are, with positive y pointing up, so they have to be
+ * flipped before being applied to the board.
+ */
+
+export type Rotation = 0 | 1 | 2 | 3;
+export type Kick = readonly [number, number];
+/** Offsets to try for each transition, keyed like "0>1". A transition left out only tries [0, 0]. */
+export type KickTable = { [transition: string]: readonly Kick[] };
+
+const jlstzKicks: KickTable = {
+	"0>1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+	"1>0": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+	"1>2": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+	"2>1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+	"2>3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+	"3>2": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+	"3>0": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+	"0>3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+};
+
+const iKicks: KickTable = {
+	"0>1": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+	"1>0": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+	"1>2": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+	"2>1": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+	"2>3": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+	"3>2": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+	"3>0": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+	"0>3": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+};
+
+const noKicks: readonly Kick[] = [[0, 0]];
+
+/** The tables piece sets can name: the SRS ones for J, L, S, T and Z and for I, and none for O. */
+const kickTables: { [name: string]: KickTable } = {
+	jlstz: jlstzKicks,
+	i: iKicks,
+	none: {},
+};
+
+/**
+ * @param dir positive for clockwise, anything else for counter-clockwise
+ */
+function nextRotation(from: Rotation, dir: number): Rotation {
+	return ((from + (dir > 0 ? 1 : 3)) % 4) as Rotation;
+}
+
+/**
+ * Returns the offsets to try, in order, when turning a piece with the given table
+ * from one state to another.
+ */
+function getKicks(table: KickTable, from: Rotation, to: Rotation): readonly Kick[] {
+	return table[from + ">" + to] || noKicks;
+}
+
+export { getKicks, kickTables, nextRotation };
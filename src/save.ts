@@ -0,0 +1,217 @@
+import { Engine, Matrix, Mode, PieceType, Player, tickLength } from "./engine.js";
+import { Garbage } from "./garbage.js";
+import { pieceTypes, standardSet, tgmStart } from "./pieces.js";
+import { Randomizer } from "./randomizer.js";
+import { engineOptions, Replay, ReplaySettings, replaySettings } from "./replay.js";
+import { ScoreState } from "./scoring.js";
+import { createStats, Stats } from "./stats.js";
+import { readItem, removeItem, writeItem } from "./storage.js";
+
+/**
+ * Suspending a game in progress to localStorage, so that leaving the page does not
+ * lose it.
+ */
+
+/** Bump this whenever SavedGame changes, and add a migration from the old version. */
+const saveVersion = 5;
+
+const storageKey = "save";
+
+/** Everything about the game in progress that the settings do not already decide. */
+export type SavedState = {
+	mode: Mode;
+	paused: boolean;
+	arena: Matrix;
+	player: Player;
+	randomizer: Randomizer;
+	queue: PieceType[];
+	previewLength: number;
+	hold: PieceType | null;
+	holdLocked: boolean;
+	frame: number;
+	pieces: number;
+	dropCounter: number;
+	level: number;
+	lines: number;
+	scoreState: ScoreState;
+	lockTimer: number;
+	lockResets: number;
+	lowestY: number;
+	held: { left: number; right: number; down: number };
+	pieceInputs: number;
+	dealt: number;
+	garbage: Garbage;
+};
+
+export type SavedGame = {
+	version: number;
+	date: string;
+	settings: ReplaySettings;
+	state: SavedState;
+	/** The game recorded up to the moment it was saved, so the recording carries on after a resume. */
+	replay: Replay | null;
+	stats: Stats;
+};
+
+/**
+ * Upgrades a save one version at a time. The function at index n turns a version
+ * n + 1 save into a version n + 2 one.
+ */
+const migrations: ((save: any) => any)[] = [
+	// Version 1 kept no stats. Only the totals can be recovered, and the active piece goes unjudged.
+	(save) => {
+		var stats = createStats();
+		stats.pieces = save.state.pieces;
+		stats.lines = save.state.lines;
+		save.stats = stats;
+		save.state.pieceInputs = -1;
+		save.version = 2;
+		return save;
+	},
+	// Version 2 came before fixed piece sequences, so none had been dealt.
+	(save) => {
+		save.state.dealt = 0;
+		save.version = 3;
+		return save;
+	},
+	// Version 3 came before garbage. No game had any, so any generator will do.
+	(save) => {
+		save.state.garbage = { state: 0, hole: 0 };
+		save.version = 4;
+		return save;
+	},
+	// Version 4 came before piece sets. Its cells numbered the pieces I L J O Z S T and garbage 8.
+	(save) => {
+		var cells = [0, 7, 3, 2, 4, 6, 5, 1, -1];
+		var renumber = (matrix: number[][]) => matrix.map((row) => row.map((value) => cells[value]));
+		save.state.arena = renumber(save.state.arena);
+		save.state.player.matrix = renumber(save.state.player.matrix);
+		save.state.randomizer.pieces = pieceTypes(standardSet);
+		save.state.randomizer.first = tgmStart(standardSet).first;
+		save.version = 5;
+		return save;
+	},
+];
+
+/** Copies a value through JSON, so the save shares nothing with the running engine. */
+function copy<T>(value: T): T {
+	return JSON.parse(JSON.stringify(value));
+}
+
+function saveGame(engine: Engine, replay: Replay | null, stats: Stats): SavedGame {
+	return {
+		version: saveVersion,
+		date: new Date().toISOString(),
+		settings: replaySettings(engine),
+		state: copy({
+			mode: engine.mode,
+			paused: engine.paused,
+			arena: engine.arena,
+			player: engine.player,
+			randomizer: engine.randomizer,
+			queue: engine.queue,
+			previewLength: engine.previewLength,
+			hold: engine.hold,
+			holdLocked: engine.holdLocked,
+			frame: engine.frame,
+			pieces: engine.pieces,
+			dropCounter: engine.dropCounter,
+			level: engine.level,
+			lines: engine.lines,
+			scoreState: engine.scoreState,
+			lockTimer: engine.lockTimer,
+			lockResets: engine.lockResets,
+			lowestY: engine.lowestY,
+			held: engine.held,
+			pieceInputs: engine.pieceInputs,
+			dealt: engine.dealt,
+			garbage: engine.garbage,
+		}),
+		replay: replay && copy(replay),
+		stats: copy(stats),
+	};
+}
+
+/**
+ * Puts the engine back exactly where the saved game left off. It reports the level
+ * and score of a fresh game while doing so, so the page has to refresh its own.
+ */
+function restoreGame(engine: Engine, save: SavedGame) {
+	var state = copy(save.state);
+	var options = engineOptions(save.settings);
+	options.previewLength = state.previewLength;
+	engine.newGame(options);
+	if (engine.mode != state.mode) {
+		engine.switchMode(state.mode);
+	}
+	engine.arena = state.arena;
+	engine.player = state.player;
+	engine.randomizer = state.randomizer;
+	engine.queue = state.queue;
+	engine.hold = state.hold;
+	engine.holdLocked = state.holdLocked;
+	engine.frame = state.frame;
+	engine.time = engine.frame * tickLength;
+	engine.pieces = state.pieces;
+	engine.dropCounter = state.dropCounter;
+	engine.level = state.level;
+	engine.lines = state.lines;
+	engine.scoreState = state.scoreState;
+	engine.lockTimer = state.lockTimer;
+	engine.lockResets = state.lockResets;
+	engine.lowestY = state.lowestY;
+	engine.held = state.held;
+	engine.pieceInputs = state.pieceInputs;
+	engine.dealt = state.dealt;
+	engine.garbage = state.garbage;
+	if (engine.paused != state.paused) {
+		engine.togglePause();
+	}
+}
+
+/** Turns stored text back into a save of the current version, or throws if that cannot be done. */
+function parseSave(text: string): SavedGame {
+	var save = JSON.parse(text);
+	if (!save || typeof save != "object" || typeof save.version != "number" || !save.state) {
+		throw new Error("Not a saved game");
+	}
+	if (save.version > saveVersion) {
+		throw new Error("Saved by a newer version (" + save.version + ")");
+	}
+	while (save.version < saveVersion) {
+		var migrate = migrations[save.version - 1];
+		if (!migrate) {
+			throw new Error("Cannot upgrade a version " + save.version + " save");
+		}
+		save = migrate(save);
+	}
+	return save as SavedGame;
+}
+
+/** Stores the save, replacing any earlier one. Returns false if storage is unavailable or full. */
+function writeSave(save: SavedGame) {
+	return writeItem(storageKey, JSON.stringify(save));
+}
+
+/**
+ * Returns the stored save, or null if there is none. A save that cannot be read
+ * is thrown away, and the reason thrown.
+ */
+function readSave(): SavedGame | null {
+	var text = readItem(storageKey);
+	if (text == null) {
+		return null;
+	}
+	try {
+		return parseSave(text);
+	} catch (error) {
+		deleteSave();
+		throw error;
+	}
+}
+
+function deleteSave() {
+	removeItem(storageKey);
+}
+
+export { deleteSave, parseSave, readSave, restoreGame, saveGame, saveVersion, writeSave };
@@ -0,0 +1,123 @@
+/**
+ * Scoring rulesets. The engine reports what each lock did and adds up whatever the
+ * current ruleset awards for it, so swapping the ruleset is all it takes to score
+ * a game differently.
+ */
+
+/** none: a plain lock, mini: a T-spin mini, full: a proper T-spin */
+export type Spin = "none" | "mini" | "full";
+
+/** What one lock did to the board. */
+export type ClearResult = {
+	lines: number;
+	spin: Spin;
+};
+
+/** Points awarded for one thing the player did, with a callout for the UI. */
+export type ScoreEvent = {
+	points: number;
+	label: string;
+};
+
+/** Chain counters carried from one lock to the next. -1 means no chain is running. */
+export type ScoreState = {
+	combo: number;
+	backToBack: number;
+};
+
+export type Ruleset = {
+	name: string;
+	/** Scores a lock and advances the chain counters in state. */
+	lock: (state: ScoreState, clear: ClearResult, level: number) => ScoreEvent[];
+	/** Points for a soft drop of the given number of cells. */
+	softDrop: (cells: number, level: number) => number;
+	/** Points for a hard drop of the given number of cells. */
+	hardDrop: (cells: number, level: number) => number;
+};
+
+const clearNames = ["", "SINGLE", "DOUBLE", "TRIPLE", "TETRIS"];
+
+const guidelinePoints: { [spin in Spin]: number[] } = {
+	none: [0, 100, 300, 500, 800],
+	mini: [100, 200, 400],
+	full: [400, 800, 1200, 1600],
+};
+
+function createScoreState(): ScoreState {
+	return { combo: -1, backToBack: -1 };
+}
+
+/** Names a lock the way the callout shows it, e.g. "T-SPIN MINI DOUBLE". */
+function clearLabel(clear: ClearResult) {
+	var spin = clear.spin == "full" ? "T-SPIN" : clear.spin == "mini" ? "T-SPIN MINI" : "";
+	var lines = clear.lines < clearNames.length ? clearNames[clear.lines] : clear.lines + " LINES";
+	return [spin, lines].filter((part) => part != "").join(" ");
+}
+
+/**
+ * Singles to tetrises and T-spins times the level, half as much again for a
+ * back-to-back tetris or T-spin clear, 50 per combo step and per-cell drop points.
+ */
+const guideline: Ruleset = {
+	name: "Guideline",
+	lock(state, clear, level) {
+		var events: ScoreEvent[] = [];
+		var table = guidelinePoints[clear.spin];
+		var points = (table[Math.min(clear.lines, table.length - 1)] || 0) * level;
+		var difficult = clear.lines > 0 && (clear.lines >= 4 || clear.spin != "none");
+
+		if (clear.lines > 0) {
+			state.combo++;
+			if (difficult) {
+				state.backToBack++;
+			} else {
+				state.backToBack = -1;
+			}
+		} else {
+			state.combo = -1;
+		}
+
+		if (points > 0) {
+			var label = clearLabel(clear);
+			if (difficult && state.backToBack > 0) {
+				points = Math.floor(points * 1.5);
+				label = "B2B " + label;
+			}
+			events.push({ points, label });
+		}
+		if (state.combo > 0) {
+			events.push({ points: 50 * state.combo * level, label: "COMBO " + state.combo });
+		}
+		return events;
+	},
+	softDrop(cells) {
+		return cells;
+	},
+	hardDrop(cells) {
+		return cells * 2;
+	},
+};
+
+/**
+ * The original switch-tetris scoring: 10 points for the first row of a clear,
+ * doubling for each further row, and nothing else.
+ */
+const classic: Ruleset = {
+	name: "Classic",
+	lock(state, clear) {
+		if (clear.lines == 0) {
+			return [];
+		}
+		return [{ points: 10 * (Math.pow(2, clear.lines) - 1), label: clearLabel(clear) }];
+	},
+	softDrop() {
+		return 0;
+	},
+	hardDrop() {
+		return 0;
+	},
+};
+
+const rulesets: readonly Ruleset[] = [guideline, classic];
+
+export { classic, clearLabel, createScoreState, guideline, rulesets };
@@ -0,0 +1,124 @@
+import { LockEvent } from "./engine.js";
+import { maxPieceSpan, PieceSet, pieceTypes, standardSet } from "./pieces.js";
+import { formatTime } from "./render.js";
+
+/**
+ * Statistics for one game, built up from the engine's lock events. They count the
+ * same whichever scoring ruleset is in use.
+ */
+export type Stats = {
+	pieces: number;
+	lines: number;
+	/** Clears by number of lines, index 1 being singles, up to the most the set's pieces can clear. Index 0 is unused. */
+	clears: number[];
+	tSpins: number;
+	tSpinMinis: number;
+	/** Consecutive clearing locks so far, -1 when no combo is running. */
+	combo: number;
+	maxCombo: number;
+	/** Consecutive tetrises and T-spin clears so far, -1 when no chain is running. */
+	backToBack: number;
+	maxBackToBack: number;
+	/** Pieces locked by type, every piece of the set listed in alphabetical order. */
+	pieceCounts: { [type: string]: number };
+	/** Presses wasted over every judged piece. */
+	finesse: number;
+	/** Milliseconds played when each multiple of splitLines was reached. */
+	splits: number[];
+};
+
+/** Lines between split times. */
+const splitLines = 10;
+
+/**
+ * @param set the pieces the game is played with
+ */
+function createStats(set: PieceSet = standardSet): Stats {
+	var pieceCounts: { [type: string]: number } = {};
+	var sorted = pieceTypes(set).sort();
+	sorted.forEach((type) => {
+		pieceCounts[type] = 0;
+	});
+	return {
+		pieces: 0,
+		lines: 0,
+		clears: new Array(maxPieceSpan(set) + 1).fill(0),
+		tSpins: 0,
+		tSpinMinis: 0,
+		combo: -1,
+		maxCombo: 0,
+		backToBack: -1,
+		maxBackToBack: 0,
+		pieceCounts,
+		finesse: 0,
+		splits: [],
+	};
+}
+
+/**
+ * Counts one lock, made after the given milliseconds of play. Chains follow the
+ * guideline: a lock without lines keeps a back-to-back going.
+ */
+function recordLock(stats: Stats, lock: LockEvent, time: number) {
+	stats.pieces++;
+	stats.lines += lock.lines;
+	while (stats.splits.length < Math.floor(stats.lines / splitLines)) {
+		stats.splits.push(time);
+	}
+	stats.pieceCounts[lock.piece] = (stats.pieceCounts[lock.piece] || 0) + 1;
+	if (lock.finesse > 0) {
+		stats.finesse += lock.finesse;
+	}
+	if (lock.spin == "full") {
+		stats.tSpins++;
+	} else if (lock.spin == "mini") {
+		stats.tSpinMinis++;
+	}
+	if (lock.lines == 0) {
+		stats.combo = -1;
+		return;
+	}
+	stats.clears[lock.lines] = (stats.clears[lock.lines] || 0) + 1;
+	stats.combo++;
+	stats.maxCombo = Math.max(stats.maxCombo, stats.combo);
+	if (lock.lines >= 4 || lock.spin != "none") {
+		stats.backToBack++;
+		stats.maxBackToBack = Math.max(stats.maxBackToBack, stats.backToBack);
+	} else {
+		stats.backToBack = -1;
+	}
+}
+
+/** Pieces per second over the given milliseconds of play. */
+function piecesPerSecond(stats: Stats, time: number) {
+	return time > 0 ? stats.pieces / (time / 1000) : 0;
+}
+
+/** Lines per minute over the given milliseconds of play. */
+function linesPerMinute(stats: Stats, time: number) {
+	return time > 0 ? stats.lines / (time / 60000) : 0;
+}
+
+/** Label and value pairs for showing the stats as a table, after the given milliseconds of play. */
+function statsRows(stats: Stats, time: number): [string, string][] {
+	var clears = stats.clears.slice(1).join(" / ");
+	var clearLabels = stats.clears.slice(1).map((count, i) => i + 1);
+	var pieces = Object.keys(stats.pieceCounts)
+		.map((type) => type + " " + stats.pieceCounts[type])
+		.join("  ");
+	return [
+		["Time", formatTime(time)],
+		["Pieces", String(stats.pieces)],
+		["PPS", piecesPerSecond(stats, time).toFixed(2)],
+		["Lines", String(stats.lines)],
+		["LPM", linesPerMinute(stats, time).toFixed(1)],
+		[clearLabels.join("/"), clears],
+		["T-spins", stats.tSpins + " (" + stats.tSpinMinis + " mini)"],
+		["Max combo", String(stats.maxCombo)],
+		["Max B2B", String(stats.maxBackToBack)],
+		["Finesse faults", String(stats.finesse)],
+		["Pieces by type", pieces],
+	];
+}
+
+export { createStats, linesPerMinute, piecesPerSecond, recordLock, splitLines, statsRows };
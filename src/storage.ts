@@ -0,0 +1,48 @@
+/**
+ * localStorage access that never throws. The Switch browser, private windows and a
+ * full quota can all refuse it, and the game has to carry on regardless.
+ */
+
+/** Every key the game stores starts with this, so they do not clash with other pages on the same host. */
+const prefix = "switch-tetris.";
+
+/** Returns the stored text, or null if there is none or storage is unavailable. */
+function readItem(key: string) {
+	try {
+		return localStorage.getItem(prefix + key);
+	} catch (error) {
+		return null;
+	}
+}
+
+/** Returns false if the text could not be stored. */
+function writeItem(key: string, text: string) {
+	try {
+		localStorage.setItem(prefix + key, text);
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+/** Returns the stored JSON object, or an empty one if there is none, it does not parse or it is not an object. */
+function readJson<T extends object>(key: string): T {
+	var text = readItem(key);
+	if (text == null) {
+		return {} as T;
+	}
+	try {
+		var value = JSON.parse(text);
+		return value && typeof value == "object" ? value : ({} as T);
+	} catch (error) {
+		return {} as T;
+	}
+}
+
+function removeItem(key: string) {
+	try {
+		localStorage.removeItem(prefix + key);
+	} catch (error) {}
+}
+
+export { readItem, readJson, removeItem, writeItem };
@@ -1,25 +1,284 @@
+import { createEngine, GameOverReason, Input, InputEvent, Matrix, tickLength, tickRate } from "./engine.js";
+import { addHighScore, HighScore, highScores, playerName, setPlayerName } from "./highscores.js";
+import { createMenu, Menu, MenuAction, MenuItem } from "./menu.js";
+import { countHoles, fillRatio } from "./fill.js";
+import { garbageLeft } from "./garbage.js";
+import { highScoreTables, modeOptions, modeRules, ModeRules, tableName } from "./modes.js";
+import { levelStars, parseLevels, PictureLevel, recordStars, starsFor, starText, unlocked } from "./picture.js";
+import { parsePieceSet, PieceSet, standardSet } from "./pieces.js";
+import { markSolved, objectiveText, parseLevels as parsePuzzles, PuzzleLevel, solved } from "./puzzle.js";
+import { algorithms, randomSeed, RandomizerAlgorithm } from "./randomizer.js";
+import { draw, drawHold, drawPreview, formatTime, resizeBoard } from "./render.js";
+import { createRecorder, createReplayPlayer, parseReplay, Recorder, Replay, ReplayPlayer } from "./replay.js";
+import { deleteSave, readSave, restoreGame, SavedGame, saveGame, writeSave } from "./save.js";
+import { rulesets } from "./scoring.js";
+import { createStats, piecesPerSecond, recordLock, splitLines, Stats, statsRows } from "./stats.js";
+
 const dbt = document.getElementById("debug") as HTMLParagraphElement;
 const canvas = document.getElementById("tetris") as HTMLCanvasElement;
 const context = canvas.getContext("2d") as CanvasRenderingContext2D;
-const colours = [null, "#FF0D72", "#0DC2FF", "#0DFF72", "#F538FF", "#FF8E0D", "#FFE138", "#3877FF"] as const;
+const seedInput = document.getElementById("seed") as HTMLInputElement;
+const randomizerSelect = document.getElementById("randomizer") as HTMLSelectElement;
+const previewCanvas = document.getElementById("next") as HTMLCanvasElement;
+const previewContext = previewCanvas.getContext("2d") as CanvasRenderingContext2D;
+const holdCanvas = document.getElementById("hold") as HTMLCanvasElement;
+const holdContext = holdCanvas.getContext("2d") as CanvasRenderingContext2D;
+const previewSelect = document.getElementById("previewLength") as HTMLSelectElement;
+const scoringSelect = document.getElementById("scoring") as HTMLSelectElement;
+const startLevelSelect = document.getElementById("startLevel") as HTMLSelectElement;
+const messinessSelect = document.getElementById("messiness") as HTMLSelectElement;
+const callout = document.getElementById("callout") as HTMLParagraphElement;
+const resultsScreen = document.getElementById("results") as HTMLDivElement;
+const menuScreen = document.getElementById("menu") as HTMLDivElement;
+const resumeScreen = document.getElementById("resume") as HTMLDivElement;
+const highScoresScreen = document.getElementById("highScores") as HTMLDivElement;
+const highScoreTable = document.getElementById("highScoreTable") as HTMLTableElement;
+const playerNameInput = document.getElementById("playerName") as HTMLInputElement;
+const liveStatsTable = document.getElementById("liveStats") as HTMLTableElement;
+const resultStatsTable = document.getElementById("resultStats") as HTMLTableElement;
+const timerDisplay = document.getElementById("timer") as HTMLParagraphElement;
+const splitList = document.getElementById("splits") as HTMLUListElement;
+const fillMeter = document.getElementById("fillMeter") as HTMLDivElement;
+const fillBar = document.getElementById("fillBar") as HTMLDivElement;
+const fillTargetMark = document.getElementById("fillTargetMark") as HTMLDivElement;
+const garbageDisplay = document.getElementById("garbageLeft") as HTMLParagraphElement;
+const objectiveDisplay = document.getElementById("objective") as HTMLParagraphElement;
+const replayBar = document.getElementById("replayBar") as HTMLDivElement;
+const replayFile = document.getElementById("replayFile") as HTMLInputElement;
 
 var running = false;
 function setRunning(value: boolean) {
 	running = value;
 }
-var gamePaused = false;
-var dropCounter = 0;
-var dropInterval = 1000;
-var lastTime = 0;
-var speedModifier = 1;
-/**
- * 0: Normal-Mode
- *
- * 1: Fill-Mode
- */
-var mode: 0 | 1 = 0;
+/** Timestamp of the last frame drawn, or null until the clock starts again from the next one. */
+var lastTime: number | null = null;
+/** Milliseconds of real time not yet simulated, always less than one tick after a frame. */
+var accumulator = 0;
+var calloutTimeout = 0;
+/** Set once the player has typed in a seed, which is then kept for every restart. */
+var seedEntered = false;
+/** The menu on the overlay screen currently shown, if any. */
+var activeMenu: Menu | null = null;
+/** Input events received since the last tick, handed to the engine in order on the next one. */
+var pendingEvents: InputEvent[] = [];
+/** The active piece as it was before the last tick, to draw it moving smoothly in between. */
+var previousPiece: { matrix: Matrix; x: number; y: number } | null = null;
+/** Records the game being played. Every game is recorded. */
+var recorder: Recorder | null = null;
+/** The most recently finished or watched game, offered on the results screen. */
+var lastReplay: Replay | null = null;
+/** Feeds the engine while a replay is being watched. */
+var replayPlayer: ReplayPlayer | null = null;
+/** Whether the game on the board was a watched replay, which nothing may carry on once playback stops. */
+var watchedGame = false;
+var replayPaused = false;
+var replaySpeed = 2;
+const replaySpeeds = [0.25, 0.5, 1, 2, 4];
+/** The suspended game offered on the resume screen. */
+var pendingSave: SavedGame | null = null;
+/** Milliseconds between saves of the game in progress, on top of saving on pause and when the page is hidden. */
+const saveInterval = 5000;
+/** Index in highScoreTables() of the table the high-score screen shows. */
+var shownTable = 0;
+/** The entry the last game made in a high-score table, highlighted when that table is shown. */
+var newHighScore: { table: string; rank: number } | null = null;
+/** The screen the high-score screen goes back to. */
+var highScoresReturn = showMenu;
+/** Stats for the game on the board, whether played or watched. */
+var stats: Stats = createStats();
+/** Frame the live stats were last shown for. They are refreshed every statsInterval ticks and on every lock. */
+var statsFrame = 0;
+const statsInterval = 15;
+/** The line goal, time limit, fill target or starting garbage chosen from modeOptions for the current mode, 0 if it offers none. */
+var modeOption = 0;
+/** Ticks left before the clock starts. The board waits while they run out. */
+var countdown = 0;
+const countdownLength = 2 * tickRate;
+/** Milliseconds left on a time limit when the timer starts warning. */
+const timeWarning = 10000;
+/** The best finished game in the current game's table, whose splits the current ones are compared to. */
+var personalBest: HighScore | null = null;
+/** Levels for picture modes, empty until the level file has loaded. */
+var pictureLevels: PictureLevel[] = [];
+/** Index in pictureLevels of the level chosen, and played in picture modes. */
+var pictureLevel = 0;
+const levelFile = "levels/pictures.json";
+/** Stars the last game earned on its picture level, 0 if it did not cover the target. */
+var earnedStars = 0;
+/** Set when the last game beat the best stars on its picture level, and when that unlocked the next level. */
+var starsImproved = false;
+var levelUnlocked = false;
+/** Levels for puzzle modes, empty until the level file has loaded. */
+var puzzleLevels: PuzzleLevel[] = [];
+/** Index in puzzleLevels of the puzzle chosen, and played in puzzle modes. */
+var puzzleLevel = 0;
+const puzzleFile = "levels/puzzles.json";
+/** Piece sets for the modes that name one, by file, null until the file has loaded. */
+var pieceSets: { [file: string]: PieceSet | null } = {};
+
+export type ReplayAction = "playPause" | "slower" | "faster" | "step" | "exit";
+
+const engine = createEngine();
+
+const gameOverReasons: { [reason in GameOverReason]: string } = {
+	blockOut: "Block out",
+	lockOut: "Lock out",
+	topOut: "Top out",
+	goal: "Finished",
+	time: "Time up",
+	filled: "Board filled",
+	stuck: "Stuck",
+	spilled: "Spilled",
+	outOfPieces: "Out of pieces",
+};
+
+const resultsMenu = createMenu(document.getElementById("resultsMenu") as HTMLUListElement, [
+	{ label: "Restart", action: startGame },
+	{
+		label: "Watch replay",
+		action() {
+			if (lastReplay) {
+				watchReplay(lastReplay);
+			}
+		},
+	},
+	{
+		label: "Export replay",
+		action() {
+			if (lastReplay) {
+				exportReplay(lastReplay);
+			}
+		},
+	},
+	{
+		label: "High scores",
+		action() {
+			showHighScores(currentTable(), showResultsScreen);
+		},
+	},
+	{ label: "Menu", action: showMenu },
+]);
+
+const highScoresMenu = createMenu(document.getElementById("highScoresMenu") as HTMLUListElement, [
+	{
+		label: "",
+		action() {
+			renderHighScores((shownTable + 1) % highScoreTables().length);
+		},
+	},
+	{
+		label: "Back",
+		action() {
+			highScoresReturn();
+		},
+	},
+]);
+
+const resumeMenu = createMenu(document.getElementById("resumeMenu") as HTMLUListElement, [
+	{ label: "Resume", action: resumeGame },
+	{
+		label: "New game",
+		action() {
+			pendingSave = null;
+			startGame();
+		},
+	},
+]);
+
+const mainMenu = createMenu(document.getElementById("mainMenu") as HTMLUListElement, mainMenuItems());
+
+/** The main menu's entries, with a choice of line goal, time limit or level for modes that have them. */
+function mainMenuItems() {
+	var rules = engine.rules();
+	var items: MenuItem[] = [
+		{ label: "Start", action: startGame },
+		{
+			label: "Mode: " + rules.name,
+			action() {
+				engine.switchMode();
+			},
+		},
+	];
+	if (modeOptions(rules).length > 0) {
+		items.push({
+			label: optionLabel(rules, modeOption),
+			action() {
+				var options = modeOptions(engine.rules());
+				modeOption = options[(options.indexOf(modeOption) + 1) % options.length];
+				updateModeDisplay();
+			},
+		});
+	}
+	if (rules.puzzle && puzzleLevels.length > 0) {
+		items.push({
+			label: puzzleLabel(puzzleLevel),
+			action() {
+				puzzleLevel = (puzzleLevel + 1) % puzzleLevels.length;
+				updateModeDisplay();
+			},
+		});
+	}
+	if (rules.picture && pictureLevels.length > 0) {
+		items.push({
+			label: levelLabel(pictureLevel),
+			action() {
+				// Only levels already unlocked come round, which always includes the first.
+				do {
+					pictureLevel = (pictureLevel + 1) % pictureLevels.length;
+				} while (!unlocked(pictureLevels, pictureLevel));
+				updateModeDisplay();
+			},
+		});
+	}
+	items.push({
+		label: "High scores",
+		action() {
+			showHighScores(currentTable(), showMenu);
+		},
+	});
+	return items;
+}
+
+function optionLabel(rules: ModeRules, option: number) {
+	if (rules.lineGoals.length > 0) {
+		return "Lines: " + (option > 0 ? option : "endless");
+	}
+	if (rules.timeLimits.length > 0) {
+		return "Time: " + option / 60000 + " min";
+	}
+	if (rules.garbageRows.length > 0) {
+		return "Garbage: " + option + " rows";
+	}
+	return "Target: " + option + "%";
+}
 
-context.scale(20, 20);
+function puzzleLabel(index: number) {
+	var level = puzzleLevels[index];
+	return "Puzzle " + (index + 1) + "/" + puzzleLevels.length + ": " + level.name + (solved(level) ? " ✓" : "");
+}
+
+function levelLabel(index: number) {
+	var level = pictureLevels[index];
+	return "Level " + (index + 1) + "/" + pictureLevels.length + ": " + level.name + " " + starText(levelStars(level));
+}
+
+resizeBoard(context, engine);
+previewContext.scale(10, 10);
+holdContext.scale(10, 10);
+previewSelect.value = String(engine.previewLength);
+playerNameInput.value = playerName();
+updateModeDisplay();
+loadLevelFiles();
+loadPieceSets();
+for (var level = 1; level <= 20; level++) {
+	addOption(startLevelSelect, String(level), String(level));
+}
+rulesets.forEach(function (ruleset, i) {
+	addOption(scoringSelect, String(i), ruleset.name);
+});
+for (var messiness = 0; messiness <= 100; messiness += 25) {
+	addOption(messinessSelect, String(messiness), messiness + "%");
+}
 
 dbt.innerHTML = "Press a button and it will appear here.";
 window.onerror = function myErrorHandler(errorMsg, url, lineNumber) {
@@ -27,310 +286,877 @@ window.onerror = function myErrorHandler(errorMsg, url, lineNumber) {
 	return false;
 };
 
-function arenaSweep() {
-	if (mode != 1) {
-		var rowCount = 1;
-		outer: for (var y = arena.length - 1; y > 0; --y) {
-			for (var x = 0; x < arena[y].length; ++x) {
-				if (arena[y][x] === 0) {
-					continue outer;
-				}
-			}
+engine.on("score", updateScore);
+engine.on("level", function (level) {
+	(document.getElementById("level") || document.createElement("p")).innerText = String(level);
+	// A new game resets the level before its first tick, which is no level-up.
+	if (engine.frame > 0) {
+		showCallout((callout.innerText ? callout.innerText + "\n" : "") + "LEVEL " + level);
+	}
+});
+engine.on("scoreEvent", function (event) {
+	showCallout(event.label);
+});
+engine.on("mode", function () {
+	var rules = engine.rules();
+	var options = modeOptions(rules);
+	var current = engine.fillTarget;
+	if (rules.lineGoals.length > 0) {
+		current = engine.lineGoal;
+	} else if (rules.timeLimits.length > 0) {
+		current = engine.timeLimit;
+	} else if (rules.garbageRows.length > 0) {
+		current = engine.garbageRows;
+	}
+	modeOption = options.indexOf(current) != -1 ? current : options[0] || 0;
+	updateModeDisplay();
+});
+engine.on("pause", function (paused) {
+	setGameState(paused ? "Paused" : "Playing");
+	if (paused) {
+		suspendGame();
+	}
+});
+engine.on("lock", function (lock) {
+	var splits = stats.splits.length;
+	recordLock(stats, lock, engine.time);
+	for (var i = splits; i < stats.splits.length; i++) {
+		showSplit(i);
+	}
+	updateStats();
+	updateFillMeter();
+	updateGarbageDisplay();
+});
+engine.on("gameOver", showResults);
 
-			var row = arena.splice(y, 1)[0].fill(0);
-			arena.unshift(row);
-			++y;
+/** Shows text over the board for a moment. */
+function showCallout(text: string) {
+	callout.innerText = text;
+	clearTimeout(calloutTimeout);
+	calloutTimeout = setTimeout(function () {
+		callout.innerText = "";
+	}, 1500);
+}
 
-			player.score += rowCount * 10;
-			rowCount *= 2;
-		}
+function setGameState(state: string) {
+	(document.getElementById("gameState") || document.createElement("p")).innerHTML = state;
+}
+
+function setText(id: string, text: string) {
+	(document.getElementById(id) || document.createElement("p")).innerText = text;
+}
+
+/** Shows the current mode and option in the stats table and main menu, and the timer if the mode has one. */
+function updateModeDisplay() {
+	var rules = engine.rules();
+	var level = rules.picture ? pictureLevels[pictureLevel] : rules.puzzle ? puzzleLevels[puzzleLevel] : null;
+	setText("gameMode", level ? rules.name + ": " + level.name : tableName(rules, modeOption));
+	var puzzle = rules.puzzle ? puzzleLevels[puzzleLevel] : null;
+	objectiveDisplay.style.display = puzzle ? "block" : "none";
+	objectiveDisplay.innerText = puzzle ? objectiveText(puzzle.objective) : "";
+	timerDisplay.style.display = rules.timer ? "block" : "none";
+	splitList.style.display = rules.lineGoals.length > 0 ? "block" : "none";
+	fillMeter.style.display = rules.fillTargets.length > 0 ? "block" : "none";
+	garbageDisplay.style.display = rules.garbageRows.length > 0 ? "block" : "none";
+	var selected = mainMenu.selected;
+	mainMenu.items = mainMenuItems();
+	mainMenu.selected = Math.min(selected, mainMenu.items.length - 1);
+	mainMenu.render();
+}
+
+/** The high-score table the game on the board goes in. */
+function currentTable() {
+	return tableName(engine.rules(), modeOption);
+}
+
+/** Shows how much of the visible field is filled against the target, in modes that fill. */
+function updateFillMeter() {
+	if (engine.rules().fillTargets.length == 0) {
+		return;
 	}
+	var percent = Math.floor(fillRatio(engine.arena, engine.hiddenRows) * 100);
+	fillBar.style.width = percent + "%";
+	fillTargetMark.style.left = engine.fillTarget + "%";
+	setText("fillText", percent + "% / " + engine.fillTarget + "%");
 }
 
-function collide(
-	arena: (0 | 1 | 2 | 3 | 4 | 5 | 6 | 7)[][],
-	player: {
-		pos: {
-			x: number;
-			y: number;
+/** Shows how many garbage rows are left to dig through, in modes with garbage. */
+function updateGarbageDisplay() {
+	if (engine.rules().garbageRows.length > 0) {
+		garbageDisplay.innerText = "Garbage: " + garbageLeft(engine.arena);
+	}
+}
+
+/** Adds a split to the list beside the board, with how far ahead or behind the personal best it is. */
+function showSplit(index: number) {
+	var time = stats.splits[index];
+	var entry = document.createElement("li");
+	entry.innerText = (index + 1) * splitLines + "  " + formatTime(time, true);
+	var best = personalBest && personalBest.stats ? personalBest.stats.splits[index] : undefined;
+	if (best != undefined) {
+		var difference = time - best;
+		entry.innerText += "  " + (difference < 0 ? "-" : "+") + (Math.abs(difference) / 1000).toFixed(3);
+		entry.className = difference < 0 ? "ahead" : "behind";
+	}
+	splitList.appendChild(entry);
+}
+
+/** Shows one overlay screen and hands its menu the gamepad, or hides them all. */
+function showScreen(screen: HTMLElement | null, menu: Menu | null) {
+	[resultsScreen, menuScreen, resumeScreen, highScoresScreen].forEach((element) => {
+		element.style.display = element == screen ? "block" : "none";
+	});
+	activeMenu = menu;
+	if (menu) {
+		menu.selected = 0;
+		menu.render();
+	}
+}
+
+function showResults(reason: GameOverReason) {
+	deleteSave();
+	if (recorder) {
+		lastReplay = recorder.finish();
+		recorder = null;
+	}
+	// A watched replay is not a new game, so it never makes an entry or earns stars.
+	newHighScore = replayPlayer ? null : recordHighScore();
+	recordPicture(reason);
+	if (engine.rules().puzzle && reason == "goal" && !replayPlayer) {
+		markSolved(puzzleLevels[puzzleLevel]);
+		updateModeDisplay();
+	}
+	resultsMenu.items[0] = firstResultsItem(reason);
+	stopReplay();
+	setGameState("Game Over");
+	setText("resultReason", gameOverReasons[reason]);
+	setText("resultScore", String(engine.player.score));
+	setText("resultLevel", String(engine.level));
+	fillStatsTable(resultStatsTable, stats);
+	setText("resultHighScore", newHighScore ? "New high score! #" + (newHighScore.rank + 1) : "");
+	setText("resultDetails", resultDetails());
+	showResultsScreen();
+}
+
+/**
+ * The results screen's first entry: a new game, or in puzzles another try at a
+ * failed puzzle and the next one after a solved one.
+ */
+function firstResultsItem(reason: GameOverReason): MenuItem {
+	if (!engine.rules().puzzle) {
+		return { label: "Restart", action: startGame };
+	}
+	if (reason == "goal" && puzzleLevel + 1 < puzzleLevels.length) {
+		return {
+			label: "Next puzzle",
+			action() {
+				puzzleLevel++;
+				updateModeDisplay();
+				startGame();
+			},
 		};
-		matrix: (0 | 1 | 2 | 3 | 4 | 5 | 6 | 7)[][];
-		score: number;
-	},
-) {
-	for (var y = 0; y < player.matrix.length; ++y) {
-		for (var x = 0; x < player.matrix[y].length; ++x) {
-			if (
-				player.matrix[y][x] !== 0 &&
-				(arena[y + player.pos.y] && arena[y + player.pos.y][x + player.pos.x]) !== 0
-			) {
-				return true;
-			}
-		}
 	}
-	return false;
+	return { label: reason == "goal" ? "Play again" : "Retry", action: startGame };
 }
 
-function createMatrix(w: number, h: number) {
-	var matrix: (0 | 1 | 2 | 3 | 4 | 5 | 6 | 7)[][] = [];
-	while (h--) {
-		matrix.push(new Array(w).fill(0));
+/** Mode-specific lines for the results screen: the splits, how well the board was filled, the stars earned or the garbage dug. */
+function resultDetails() {
+	var rules = engine.rules();
+	if (rules.puzzle) {
+		var puzzle = puzzleLevels[puzzleLevel];
+		return puzzle ? puzzle.name + ": " + objectiveText(puzzle.objective) : "";
+	}
+	if (rules.lineGoals.length > 0) {
+		return splitSummary();
+	}
+	if (rules.picture) {
+		return pictureSummary();
+	}
+	if (rules.garbageRows.length > 0) {
+		var left = garbageLeft(engine.arena);
+		var played = rules.garbageRise > 0 ? "Survived " : engine.gameOver == "goal" ? "Dug out in " : "Played ";
+		return played + formatTime(engine.time) + " with " + engine.pieces + " pieces, " + left + " garbage " + (left == 1 ? "row" : "rows") + " left";
+	}
+	if (rules.fillTargets.length > 0) {
+		var holes = countHoles(engine.arena, engine.hiddenRows);
+		var percent = Math.floor(fillRatio(engine.arena, engine.hiddenRows) * 100);
+		return "Filled " + percent + "% of " + engine.fillTarget + "%, " + holes + (holes == 1 ? " hole" : " holes");
 	}
-	return matrix;
+	return "";
 }
 
-function createPiece(type: "I" | "L" | "J" | "O" | "Z" | "S" | "T"): (0 | 1 | 2 | 3 | 4 | 5 | 6 | 7)[][] {
-	if (type === "I") {
-		return [
-			[0, 1, 0, 0],
-			[0, 1, 0, 0],
-			[0, 1, 0, 0],
-			[0, 1, 0, 0],
-		];
-	} else if (type === "L") {
-		return [
-			[0, 2, 0],
-			[0, 2, 0],
-			[0, 2, 2],
-		];
-	} else if (type === "J") {
-		return [
-			[0, 3, 0],
-			[0, 3, 0],
-			[3, 3, 0],
-		];
-	} else if (type === "O") {
-		return [
-			[4, 4],
-			[4, 4],
-		];
-	} else if (type === "Z") {
-		return [
-			[5, 5, 0],
-			[0, 5, 5],
-			[0, 0, 0],
-		];
-	} else if (type === "S") {
-		return [
-			[0, 6, 6],
-			[6, 6, 0],
-			[0, 0, 0],
-		];
-	} else if (type === "T") {
-		return [
-			[0, 7, 0],
-			[7, 7, 7],
-			[0, 0, 0],
+/** The split times, or for modes that ask for it the time spent on each level. */
+function splitSummary() {
+	if (engine.rules().levelSummary) {
+		return stats.splits
+			.map((time, i) => "Lv " + (engine.startLevel + i) + " " + formatTime(time - (i > 0 ? stats.splits[i - 1] : 0)))
+			.join("  ");
+	}
+	return stats.splits.map((time, i) => (i + 1) * splitLines + "L " + formatTime(time)).join("  ");
+}
+
+/** The stars earned on the picture level, against its par, and what they unlocked. */
+function pictureSummary() {
+	var level = pictureLevels[pictureLevel];
+	if (!level) {
+		return "";
+	}
+	var summary = [
+		level.name + " " + starText(earnedStars),
+		piecesUsed() + " pieces (par " + level.par.pieces + ")",
+		formatTime(engine.time) + " (par " + formatTime(level.par.time) + ")",
+	];
+	if (levelUnlocked) {
+		summary.push("Next level unlocked!");
+	} else if (starsImproved) {
+		summary.push("New best!");
+	}
+	return summary.join("  ");
+}
+
+/** Pieces taken from the queue this game: every one locked, and one left in hold. */
+function piecesUsed() {
+	return engine.pieces + (engine.hold ? 1 : 0);
+}
+
+/** Awards stars for the picture level just played, keeping them if they are a new best. */
+function recordPicture(reason: GameOverReason) {
+	var level = pictureLevels[pictureLevel];
+	earnedStars = 0;
+	starsImproved = false;
+	levelUnlocked = false;
+	if (!engine.rules().picture || !level || reason != "filled") {
+		return;
+	}
+	earnedStars = starsFor(level, piecesUsed(), engine.time);
+	if (replayPlayer) {
+		return;
+	}
+	var first = levelStars(level) == 0;
+	starsImproved = recordStars(level, earnedStars);
+	levelUnlocked = first && pictureLevel + 1 < pictureLevels.length;
+	updateModeDisplay();
+}
+
+function showResultsScreen() {
+	showScreen(resultsScreen, resultsMenu);
+}
+
+/**
+ * Enters the game that just ended in its mode's high-score table. Returns the entry,
+ * or null if it did not make the table. Only finished games are ranked by time, and
+ * picture and puzzle games have no table.
+ */
+function recordHighScore() {
+	var rules = engine.rules();
+	if (rules.picture || rules.puzzle || (rules.ranking == "time" && engine.gameOver != "goal")) {
+		return null;
+	}
+	var table = currentTable();
+	var rank = addHighScore(
+		table,
+		{
+			name: playerName(),
+			score: engine.player.score,
+			lines: engine.lines,
+			level: engine.level,
+			time: engine.time,
+			date: new Date().toISOString(),
+			stats,
+		},
+		engine.rules().ranking,
+	);
+	return rank >= 0 ? { table, rank } : null;
+}
+
+/** Opens the high-score screen on the named table. Back leads to the given screen. */
+function showHighScores(table: string, back: () => void) {
+	highScoresReturn = back;
+	setGameState("High Scores");
+	showScreen(highScoresScreen, highScoresMenu);
+	var index = highScoreTables()
+		.map((table) => table.name)
+		.indexOf(table);
+	renderHighScores(Math.max(0, index));
+}
+
+/** Fills the high-score screen with one of highScoreTables(), best first, marking the entry the last game made. */
+function renderHighScores(index: number) {
+	shownTable = index;
+	var table = highScoreTables()[index];
+	var rules = table.rules;
+	var entries = highScores(table.name);
+	highScoreTable.innerHTML = "";
+	var header = highScoreTable.insertRow();
+	["#", "Name", "Score", "Lines", "Level", "Time", "PPS", "Date"].forEach((title) => {
+		var cell = document.createElement("th");
+		cell.innerText = title;
+		header.appendChild(cell);
+	});
+	entries.forEach((entry, i) => {
+		var row = highScoreTable.insertRow();
+		var values = [
+			String(i + 1),
+			entry.name,
+			String(entry.score),
+			String(entry.lines),
+			String(entry.level),
+			formatTime(entry.time),
+			entry.stats ? piecesPerSecond(entry.stats, entry.time).toFixed(2) : "-",
+			entry.date.slice(0, 10),
 		];
+		values.forEach((value) => {
+			row.insertCell().innerText = value;
+		});
+		if (newHighScore && newHighScore.table == table.name && newHighScore.rank == i) {
+			row.className = "new";
+		}
+	});
+	if (entries.length == 0) {
+		var empty = highScoreTable.insertRow().insertCell();
+		empty.colSpan = 8;
+		empty.innerText = "No games yet";
+	}
+	setText("highScoreMode", table.name + (rules.ranking == "time" ? " (fastest)" : ""));
+	highScoresMenu.items[0].label = "Table: " + table.name;
+	highScoresMenu.render();
+}
+
+function showMenu() {
+	stopReplay();
+	setGameState("Menu");
+	showScreen(menuScreen, mainMenu);
+}
+
+/**
+ * Passes a menu action to the screen currently shown. Returns false if no screen
+ * with a menu is open, so the input can go to the game instead.
+ */
+function navigateMenu(action: MenuAction) {
+	if (!activeMenu) {
+		return false;
+	}
+	activeMenu.navigate(action);
+	return true;
+}
+
+function addOption(select: HTMLSelectElement, value: string, text: string) {
+	var option = document.createElement("option");
+	option.value = value;
+	option.innerText = text;
+	select.appendChild(option);
+}
+
+/**
+ * Runs as many fixed ticks as the real time since the last frame covers, then
+ * draws. Frame rate and hitches change how often the board is drawn, never how
+ * the game plays.
+ */
+function update(time?: number | null) {
+	var now = time == null ? lastTime : time;
+	// After a long stall (a hidden tab, a hitch) catch up at most a quarter second. A restarted clock has nothing to catch up.
+	var elapsed = now == null || lastTime == null ? 0 : Math.min(now - lastTime, 250);
+	lastTime = now;
+	if (replayPlayer) {
+		// A replay runs at the chosen speed, or not at all while paused.
+		elapsed = replayPaused ? 0 : elapsed * replaySpeeds[replaySpeed];
+	}
+	accumulator += elapsed;
+	while (accumulator >= tickLength) {
+		tick();
+		accumulator -= tickLength;
+	}
+	if (replayPlayer) {
+		updateReplayBar();
+	}
+	if (engine.rules().timer) {
+		updateTimer();
+	}
+	if (Math.abs(engine.frame - statsFrame) >= statsInterval) {
+		updateStats();
+		// Rising garbage comes in between locks.
+		updateGarbageDisplay();
+	}
+	draw(context, engine, interpolatedPiece(accumulator / tickLength));
+	drawPreview(previewContext, engine.peekQueue(engine.previewLength), engine.pieceSet);
+	drawHold(holdContext, engine.hold, engine.holdLocked, engine.pieceSet);
+	requestAnimationFrame(update);
+}
+
+/** Starts timing afresh from the next frame, so a game just started, resumed or watched begins without catching up. */
+function restartClock() {
+	lastTime = null;
+	accumulator = 0;
+}
+
+/** Runs one tick of the game, fed by the replay being watched or by the player's input. */
+function tick() {
+	// No game has started behind the resume screen yet, and a replay left part way is nobody's to play on.
+	if (activeMenu == resumeMenu || (watchedGame && !replayPlayer)) {
+		return;
+	}
+	if (countdown > 0) {
+		countdown--;
+		showCountdown();
+		return;
+	}
+	var player = engine.player;
+	previousPiece = { matrix: player.matrix, x: player.pos.x, y: player.pos.y };
+	var events = pendingEvents;
+	pendingEvents = [];
+	if (replayPlayer) {
+		replayPlayer.step();
+		// A replay that ends without a game over was recorded from an abandoned game.
+		if (replayPlayer && replayPlayer.done) {
+			showMenu();
+		}
+	} else if (recorder) {
+		recorder.step(events);
 	} else {
-		throw new Error("Unknown piece type");
+		engine.step(events);
 	}
 }
 
-function drawMatrix(matrix: (0 | 1 | 2 | 3 | 4 | 5 | 6 | 7)[][], offset: { x: number; y: number }) {
-	matrix.forEach((row, y) => {
-		row.forEach((value, x) => {
-			if (value !== 0) {
-				context.fillStyle = colours[value];
-				context.fillRect(x + offset.x, y + offset.y, 1, 1);
-			}
-		});
+/** Shows the time played, or the time left if there is a limit, warning of the last few seconds. */
+function updateTimer() {
+	var limit = engine.timeLimit;
+	var time = limit > 0 ? Math.max(0, limit - engine.time) : engine.time;
+	timerDisplay.innerText = formatTime(time, true);
+	timerDisplay.className = limit > 0 && time <= timeWarning && engine.gameOver == null ? "warning" : "";
+}
+
+/** Calls out READY, then GO!, while the countdown runs. Input pressed meanwhile is kept for the first tick. */
+function showCountdown() {
+	clearTimeout(calloutTimeout);
+	callout.innerText = countdown > countdownLength / 2 ? "READY" : countdown > 0 ? "GO!" : "";
+}
+
+/**
+ * Where to draw the active piece, alpha of the way from where it was before the
+ * last tick to where it is now. A piece that has only just spawned is drawn where it is.
+ */
+function interpolatedPiece(alpha: number) {
+	var pos = engine.player.pos;
+	if (!previousPiece || previousPiece.matrix != engine.player.matrix) {
+		return pos;
+	}
+	return {
+		x: previousPiece.x + (pos.x - previousPiece.x) * alpha,
+		y: previousPiece.y + (pos.y - previousPiece.y) * alpha,
+	};
+}
+
+/** Shows the stats of the game on the board in the side bar. */
+function updateStats() {
+	statsFrame = engine.frame;
+	fillStatsTable(liveStatsTable, stats);
+}
+
+function fillStatsTable(table: HTMLTableElement, stats: Stats) {
+	table.innerHTML = "";
+	statsRows(stats, engine.time).forEach(([label, value]) => {
+		var row = table.insertRow();
+		row.insertCell().innerText = label + ":";
+		row.insertCell().innerText = value;
 	});
 }
 
-function draw() {
-	context.fillStyle = "RGBA(0,0,0,0.4)";
-	context.fillRect(0, 0, canvas.width, canvas.height);
+function updateScore() {
+	(document.getElementById("score") || document.createElement("p")).innerText = String(engine.player.score);
+}
+
+function pressInput(input: Input) {
+	pendingEvents.push({ input, down: true });
+}
+
+function releaseInput(input: Input) {
+	pendingEvents.push({ input, down: false });
+}
 
-	drawMatrix(arena, {
-		x: 0,
-		y: 0,
+/** What a game in the mode needs that has not loaded, or "" if it can start. */
+function missingFile(rules: ModeRules) {
+	if (rules.picture && !pictureLevels[pictureLevel]) {
+		return "No picture levels loaded from " + levelFile;
+	}
+	if (rules.puzzle && !puzzleLevels[puzzleLevel]) {
+		return "No puzzles loaded from " + puzzleFile;
+	}
+	if (rules.pieceSet && !pieceSets[rules.pieceSet]) {
+		return "No piece set loaded from " + rules.pieceSet;
+	}
+	return "";
+}
+
+/**
+ * Starts a new game with the settings in the stats table. Without an entered seed
+ * every game gets a random one, which is written back so it can be shared.
+ */
+function startGame() {
+	var rules = engine.rules();
+	var missing = missingFile(rules);
+	if (missing) {
+		dbt.innerHTML = missing;
+		return;
+	}
+	var level = rules.picture ? pictureLevels[pictureLevel] : null;
+	var puzzle = rules.puzzle ? puzzleLevels[puzzleLevel] : null;
+	var pieceSet = (rules.pieceSet && pieceSets[rules.pieceSet]) || standardSet;
+	var seed = parseInt(seedInput.value, 10);
+	if (!seedEntered || isNaN(seed)) {
+		seed = randomSeed();
+	}
+	pendingEvents = [];
+	previousPiece = null;
+	restartClock();
+	stopReplay();
+	deleteSave();
+	showScreen(null, null);
+	setGameState("Playing");
+	var randomizer = randomizerSelect.value as RandomizerAlgorithm;
+	engine.newGame({
+		seed,
+		randomizer: algorithms.indexOf(randomizer) != -1 ? randomizer : "bag7",
+		scoring: rulesets[parseInt(scoringSelect.value, 10)] || rulesets[0],
+		startLevel: parseInt(startLevelSelect.value, 10) || 1,
+		lineGoal: rules.lineGoals.length > 0 ? modeOption : 0,
+		timeLimit: rules.timeLimits.length > 0 ? modeOption : 0,
+		fillTarget: rules.fillTargets.length > 0 ? modeOption : 0,
+		target: level ? level.target : [],
+		pieces: level ? level.pieces : puzzle ? puzzle.pieces : [],
+		board: puzzle ? puzzle.board : [],
+		objective: puzzle ? puzzle.objective : null,
+		garbageRows: rules.garbageRows.length > 0 ? modeOption : 0,
+		messiness: parseInt(messinessSelect.value, 10) || 0,
+		garbageRise: rules.garbageRise,
+		pieceSet,
 	});
-	drawMatrix(player.matrix, player.pos);
+	seedInput.value = String(engine.randomizer.seed);
+	resizeBoard(context, engine);
+	recorder = createRecorder(engine);
+	watchedGame = false;
+	stats = createStats(engine.pieceSet);
+	updateStats();
+	updateFillMeter();
+	updateGarbageDisplay();
+	splitList.innerHTML = "";
+	personalBest = highScores(currentTable())[0] || null;
+	countdown = rules.countdown ? countdownLength : 0;
+	showCountdown();
 }
 
-function merge(
-	arena: (0 | 1 | 2 | 3 | 4 | 5 | 6 | 7)[][],
-	player: { pos: { x: number; y: number }; matrix: (0 | 1 | 2 | 3 | 4 | 5 | 6 | 7)[][]; score: number },
-) {
-	player.matrix.forEach((row, y) => {
-		row.forEach((value, x) => {
-			if (value !== 0) {
-				arena[y + player.pos.y][x + player.pos.x] = value;
+/** Picks out the picture level or puzzle the game on the board is played on, for a game that was not started from the menu. */
+function findLevel() {
+	var target = engine.target.join("/");
+	pictureLevels.forEach((level, i) => {
+		if (level.target.join("/") == target) {
+			pictureLevel = i;
+		}
+	});
+	var puzzle = JSON.stringify([engine.board, engine.objective]);
+	puzzleLevels.forEach((level, i) => {
+		if (JSON.stringify([level.board, level.objective]) == puzzle) {
+			puzzleLevel = i;
+		}
+	});
+}
+
+/**
+ * Fetches a level or piece-set file and hands its text to loaded. Any error,
+ * including one thrown by loaded, is shown in the debug line.
+ */
+function loadFile(file: string, loaded: (text: string) => void) {
+	fetch(file)
+		.then((response) => {
+			if (!response.ok) {
+				throw new Error(response.status + " " + response.statusText);
 			}
+			return response.text();
+		})
+		.then((text) => {
+			loaded(text);
+			updateModeDisplay();
+		})
+		.catch((error: Error) => {
+			dbt.innerHTML = "Could not load " + file + ": " + error.message;
 		});
+}
+
+/**
+ * Fetches a level file and hands its text, with the size of the board, to parse.
+ * The levels parse returns go to loaded.
+ */
+function loadLevels<T>(
+	file: string,
+	parse: (text: string, width: number, height: number) => T[],
+	loaded: (levels: T[]) => void,
+) {
+	loadFile(file, (text) => {
+		loaded(parse(text, engine.arena[0].length, engine.arena.length - engine.hiddenRows));
 	});
 }
 
-function rotate(matrix: (0 | 1 | 2 | 3 | 4 | 5 | 6 | 7)[][], dir: number) {
-	for (var y = 0; y < matrix.length; ++y) {
-		for (var x = 0; x < y; ++x) {
-			var temp = matrix[y][x];
-			matrix[y][x] = matrix[x][y];
-			matrix[x][y] = temp;
+/** Loads the piece sets modes are played with. Until one arrives, the modes using it cannot start. */
+function loadPieceSets() {
+	modeRules.forEach((rules) => {
+		var file = rules.pieceSet;
+		if (file && !(file in pieceSets)) {
+			pieceSets[file] = null;
+			loadFile(file, (text) => {
+				pieceSets[file] = parsePieceSet(text);
+			});
 		}
-	}
+	});
+}
 
-	if (dir > 0) {
-		matrix.forEach((row) => row.reverse());
-	} else {
-		matrix.reverse();
+/** Loads the levels for picture and puzzle modes. Until they arrive, those modes cannot start. */
+function loadLevelFiles() {
+	loadLevels(levelFile, parseLevels, (levels) => {
+		pictureLevels = levels;
+		pictureLevel = 0;
+		while (pictureLevel + 1 < pictureLevels.length && unlocked(pictureLevels, pictureLevel + 1)) {
+			pictureLevel++;
+		}
+	});
+	loadLevels(puzzleFile, parsePuzzles, (levels) => {
+		puzzleLevels = levels;
+		puzzleLevel = 0;
+		// Start from the first puzzle not yet solved.
+		while (puzzleLevel + 1 < puzzleLevels.length && solved(puzzleLevels[puzzleLevel])) {
+			puzzleLevel++;
+		}
+	});
+}
+
+/** Writes the game in progress to storage so it can be resumed after the page is left. */
+function suspendGame() {
+	if (recorder && !replayPlayer && engine.gameOver == null) {
+		writeSave(saveGame(engine, recorder.replay, stats));
 	}
 }
 
 /**
- * @param {number} offset
+ * Offers to resume the game suspended when the page was last left. Returns false
+ * if there is none, so a new game can be started instead.
  */
-function playerDrop(offset: number) {
-	if (gamePaused == false || mode != 0) {
-		player.pos.y += offset;
-		if (collide(arena, player)) {
-			player.pos.y--;
-			merge(arena, player);
-			playerReset();
-			arenaSweep();
-			updateScore();
-		}
-		dropCounter = 0;
+function offerResume() {
+	try {
+		pendingSave = readSave();
+	} catch (error) {
+		dbt.innerHTML = "Could not resume game: " + (error as Error).message;
+	}
+	if (!pendingSave) {
+		return false;
 	}
+	var state = pendingSave.state;
+	var mode = modeRules[state.mode] ? modeRules[state.mode].name : "";
+	var summary = [mode, state.player.score + " points", "level " + state.level, formatTime(state.frame * tickLength)];
+	setText("resumeSummary", summary.join(", "));
+	setGameState("Suspended");
+	showScreen(resumeScreen, resumeMenu);
+	return true;
 }
 
 /**
- * @param {number} offset
+ * Picks the suspended game up where it was left, paused if the mode pauses so the
+ * player can get ready. Its recording carries on as if it had never stopped.
  */
-function playerMove(offset: number) {
-	if (gamePaused == false || mode != 0) {
-		player.pos.x += offset;
-		if (collide(arena, player)) {
-			player.pos.x -= offset;
-		}
+function resumeGame() {
+	var save = pendingSave;
+	pendingSave = null;
+	if (!save) {
+		startGame();
+		return;
+	}
+	stopReplay();
+	pendingEvents = [];
+	previousPiece = null;
+	restartClock();
+	try {
+		restoreGame(engine, save);
+	} catch (error) {
+		dbt.innerHTML = "Could not resume game: " + (error as Error).message;
+		startGame();
+		return;
+	}
+	recorder = save.replay ? createRecorder(engine, save.replay) : null;
+	watchedGame = false;
+	stats = save.stats;
+	findLevel();
+	updateStats();
+	updateFillMeter();
+	updateGarbageDisplay();
+	countdown = 0;
+	personalBest = highScores(currentTable())[0] || null;
+	splitList.innerHTML = "";
+	stats.splits.forEach((time, i) => showSplit(i));
+	showScreen(null, null);
+	setGameState("Playing");
+	seedInput.value = String(engine.randomizer.seed);
+	setText("level", String(engine.level));
+	updateScore();
+	resizeBoard(context, engine);
+	// Nothing is held any more after a reload, whatever the save says.
+	releaseInput("left");
+	releaseInput("right");
+	releaseInput("down");
+	if (!engine.paused) {
+		engine.togglePause();
 	}
 }
 
-function playerReset() {
-	/** @type {["T" , "J" , "L" , "O" , "S" , "Z" , "I"]} */ // @ts-ignore
-	var pieces: ["T", "J", "L", "O", "S", "Z", "I"] = "TJLOSZI".split("");
-	speedModifier = 1;
-	player.matrix = createPiece(pieces[(pieces.length * Math.random()) | 0]);
-	player.pos.y = 0;
-	player.pos.x = ((arena[0].length / 2) | 0) - ((player.matrix[0].length / 2) | 0);
-	if (collide(arena, player)) {
-		arena.forEach((row) => row.fill(0));
-		player.score = 0;
-		updateScore();
-	}
-}
-
-function playerRotate(dir: number) {
-	if (gamePaused == false || mode != 0) {
-		var pos = player.pos.x;
-		var offset = 1;
-		rotate(player.matrix, dir);
-		while (collide(arena, player)) {
-			player.pos.x += offset;
-			offset = -(offset + (offset > 0 ? 1 : -1));
-			if (player.matrix && offset > player.matrix[0].length) {
-				rotate(player.matrix, -dir);
-				player.pos.x = pos;
-				return;
-			}
-		}
+/** Plays a recorded game back on the board, replacing whatever game was there. */
+function watchReplay(replay: Replay) {
+	recorder = null;
+	previousPiece = null;
+	restartClock();
+	try {
+		replayPlayer = createReplayPlayer(engine, replay);
+	} catch (error) {
+		dbt.innerHTML = "Could not play replay: " + (error as Error).message;
+		return;
 	}
+	lastReplay = replay;
+	watchedGame = true;
+	replayPaused = false;
+	findLevel();
+	stats = createStats(engine.pieceSet);
+	updateStats();
+	updateFillMeter();
+	updateGarbageDisplay();
+	countdown = 0;
+	personalBest = null;
+	splitList.innerHTML = "";
+	showScreen(null, null);
+	setGameState("Replay");
+	resizeBoard(context, engine);
+	replayBar.style.display = "block";
+	updateReplayBar();
 }
 
-function update(time?: number | null) {
-	if (time == null || time == undefined) {
-		time = 0;
-	}
-	if (mode == 0) {
-		var deltaTime = time - lastTime;
-		//console.log(dropInterval * speedModifier);
-		dropCounter += deltaTime;
-		if (dropCounter > dropInterval * speedModifier) {
-			playerDrop(1);
-		}
-		lastTime = time;
-	}
-	draw();
-	requestAnimationFrame(update);
+function stopReplay() {
+	replayPlayer = null;
+	replayBar.style.display = "none";
 }
 
-function updateScore() {
-	(document.getElementById("score") || document.createElement("p")).innerText = String(player.score);
-	if (player.score > 30 && player.score < 60) {
-		speedModifier = 0.9;
-	} else if (player.score > 60 && player.score < 90) {
-		speedModifier = 0.8;
-	} else if (player.score > 90 && player.score < 120) {
-		speedModifier = 0.7;
-	} else if (player.score > 120 && player.score < 150) {
-		speedModifier = 0.6;
-	} else if (player.score > 150 && player.score < 180) {
-		speedModifier = 0.5;
-	} else if (player.score > 180 && player.score < 210) {
-		speedModifier = 0.4;
-	} else if (player.score > 210 && player.score < 240) {
-		speedModifier = 0.3;
-	} else if (player.score > 240 && player.score < 270) {
-		speedModifier = 0.2;
-	} else if (player.score > 270 && player.score < 300) {
-		speedModifier = 0.1;
-	}
-	//console.log(speedModifier + " " + player.score);
+function updateReplayBar() {
+	if (!replayPlayer) {
+		return;
+	}
+	var status = replayPaused ? "Paused" : "Replay";
+	var speed = replaySpeeds[replaySpeed] + "x";
+	var position = formatTime(engine.time) + " / " + formatTime(replayPlayer.replay.frames * tickLength);
+	setText("replayStatus", status + " " + speed + "  " + position);
 }
 
-function switchMode() {
-	if (mode == 0) {
-		mode = 1;
-		playerReset();
-		(document.getElementById("gameMode") || document.createElement("p")).innerHTML = "Fill";
-	} else {
-		mode = 0;
-		playerReset();
-		(document.getElementById("gameMode") || document.createElement("p")).innerHTML = "Normal";
+/**
+ * Passes a playback control to the replay being watched. Returns false if no
+ * replay is playing, so the input can go to the game instead.
+ */
+function controlReplay(action: ReplayAction) {
+	if (!replayPlayer) {
+		return false;
 	}
+	switch (action) {
+		case "playPause":
+			replayPaused = !replayPaused;
+			break;
+		case "slower":
+			replaySpeed = Math.max(0, replaySpeed - 1);
+			break;
+		case "faster":
+			replaySpeed = Math.min(replaySpeeds.length - 1, replaySpeed + 1);
+			break;
+		case "step":
+			if (replayPaused) {
+				tick();
+			}
+			break;
+		case "exit":
+			showMenu();
+			return true;
+	}
+	updateReplayBar();
+	return true;
 }
 
-function togglePause() {
-	if (mode != 1) {
-		if (gamePaused == true) {
-			gamePaused = false;
-			(document.getElementById("gameState") || document.createElement("p")).innerHTML = "Playing";
-		} else if (gamePaused == false) {
-			gamePaused = true;
-			(document.getElementById("gameState") || document.createElement("p")).innerHTML = "Paused";
+/** Saves the replay as a JSON file named after its seed and date. */
+function exportReplay(replay: Replay) {
+	var blob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+	var link = document.createElement("a");
+	link.href = URL.createObjectURL(blob);
+	link.download = "tetris-replay-" + replay.settings.seed + "-" + replay.date.slice(0, 10) + ".json";
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(link.href);
+}
+
+replayFile.addEventListener("change", function () {
+	var file = replayFile.files && replayFile.files[0];
+	if (!file) {
+		return;
+	}
+	var reader = new FileReader();
+	reader.onload = function () {
+		try {
+			watchReplay(parseReplay(String(reader.result)));
+		} catch (error) {
+			dbt.innerHTML = "Could not load replay: " + (error as Error).message;
 		}
+	};
+	reader.readAsText(file);
+	replayFile.value = "";
+});
+
+document.addEventListener("visibilitychange", function () {
+	if (document.visibilityState == "hidden") {
+		suspendGame();
 	}
-}
+});
+window.addEventListener("pagehide", suspendGame);
+setInterval(suspendGame, saveInterval);
+
+seedInput.addEventListener("change", function () {
+	seedEntered = seedInput.value != "";
+	if (running) {
+		startGame();
+	}
+});
+
+playerNameInput.addEventListener("change", function () {
+	setPlayerName(playerNameInput.value.trim() || "Player");
+	playerNameInput.value = playerName();
+});
+
+previewSelect.addEventListener("change", function () {
+	engine.setPreviewLength(parseInt(previewSelect.value, 10));
+});
 
 /**
- * @param {"x" | "y" | "z"} dir
- * @param {number} offset
+ * Moves on to the next mode. A game in progress starts over in it, so each game has one
+ * clock, goal and table, and it stays in its own mode if the next one cannot start yet.
  */
-function move(dir: "x" | "y" | "z", offset: number) {
-	if (dir == "x") {
-		//Vertical Movement
-		playerMove(offset);
-	} else if (dir == "y") {
-		//horizontal Movement
-		playerDrop(offset);
-	} else if (dir == "z") {
-		//Rotate
-		playerRotate(offset);
-	}
-}
-
-const arena: (0 | 1 | 2 | 3 | 4 | 5 | 6 | 7)[][] = createMatrix(12, 20);
-
-/** @type {{ pos: { x: number, y: number }, matrix: typeof arena, score: number }} */
-const player: { pos: { x: number; y: number }; matrix: typeof arena; score: number } = {
-	pos: {
-		x: 0,
-		y: 0,
-	},
-	matrix: [],
-	score: 0,
-};
+function switchMode() {
+	var playing = recorder != null && engine.gameOver == null;
+	var missing = missingFile(modeRules[(engine.mode + 1) % modeRules.length]);
+	if (playing && missing) {
+		dbt.innerHTML = missing;
+		return;
+	}
+	engine.switchMode();
+	if (playing) {
+		startGame();
+	}
+}
 
-export { move, playerReset, running, setRunning,switchMode, togglePause, update, updateScore, dbt, canvas, context };
+/** Pauses, or in puzzle and picture modes, which have nothing to pause, starts the level over so a hopeless board can be retried. */
+function togglePause() {
+	var rules = engine.rules();
+	if ((rules.puzzle || rules.picture) && recorder && engine.gameOver == null) {
+		startGame();
+		return;
+	}
+	engine.togglePause();
+}
 
+export { controlReplay, navigateMenu, offerResume, pressInput, releaseInput, startGame, running, setRunning, switchMode, togglePause, update, updateScore, dbt, canvas, context, engine };